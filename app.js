@@ -1,12 +1,58 @@
 // State management
 let currentBook = null;
 let currentChapterContent = '';
+let currentChapterIndex = null;
+let activeDownloadButton = null;
+let currentChapterImages = [];
+let currentChapterFormatted = null;
+let currentChapterBlobUrls = [];
+let readerMode = localStorage.getItem('readerMode') === 'text' ? 'text' : 'formatted';
+let currentChapterAnnotations = [];
+let bookCoverUrls = [];
 
 // IndexedDB configuration
 const DB_NAME = 'EpubExtractorDB';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
 const BOOKS_STORE = 'books';
 const EPUB_STORE = 'epubFiles';
+const SEARCH_STORE = 'searchIndex';
+const READING_STORE = 'readingPositions';
+const ANNOTATIONS_STORE = 'annotations';
+const COVERS_STORE = 'covers';
+const COLLECTIONS_STORE = 'collections';
+const OCR_STORE = 'ocrPages';
+
+// Width in pixels of stored cover thumbnails
+const COVER_THUMBNAIL_WIDTH = 160;
+
+// Bump when chapter text extraction changes so stored search text is rebuilt
+const SEARCH_INDEX_VERSION = 4;
+
+// Lines at the top and bottom of a PDF page checked for running headers and footers
+const PDF_BAND_LINES = 2;
+
+// Pages compared when looking for repeated headers and footers
+const PDF_HEADER_SAMPLE_PAGES = 12;
+
+// Fewer pages than this are never checked for headers and footers
+const PDF_HEADER_MIN_SAMPLES = 4;
+
+// A well-formed lower-case roman numeral, so words like "mild" or "did" are not page numbers
+const ROMAN_NUMERAL = '(?=[ivxlcdm])m{0,4}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3})';
+
+// Scanned pages are drawn at this scale for OCR (about 216 dpi)
+const OCR_RENDER_SCALE = 3;
+
+// Words Tesseract is less sure of than this (0-100) are dropped as noise
+const OCR_MIN_CONFIDENCE = 30;
+
+// Tesseract worker, WASM core (core/) and trained data (lang/) shipped with the app
+const OCR_ASSET_PATH = 'vendor/tesseract/';
+
+// Tesseract languages for book metadata language codes; each needs lang/<code>.traineddata.gz
+const OCR_LANGUAGES = {
+    en: 'eng', de: 'deu', fr: 'fra', es: 'spa', it: 'ita', pt: 'por', nl: 'nld'
+};
 
 // IndexedDB utility functions
 class EpubDB {
@@ -37,6 +83,37 @@ class EpubDB {
                 if (!db.objectStoreNames.contains(EPUB_STORE)) {
                     db.createObjectStore(EPUB_STORE, { keyPath: 'id' });
                 }
+                
+                // Create search index store (plain chapter text per book)
+                if (!db.objectStoreNames.contains(SEARCH_STORE)) {
+                    db.createObjectStore(SEARCH_STORE, { keyPath: 'bookId' });
+                }
+                
+                // Create reading position store (last chapter and scroll per book)
+                if (!db.objectStoreNames.contains(READING_STORE)) {
+                    db.createObjectStore(READING_STORE, { keyPath: 'bookId' });
+                }
+                
+                // Create annotations store (highlights and notes)
+                if (!db.objectStoreNames.contains(ANNOTATIONS_STORE)) {
+                    const annotationsStore = db.createObjectStore(ANNOTATIONS_STORE, { keyPath: 'id' });
+                    annotationsStore.createIndex('bookId', 'bookId', { unique: false });
+                }
+                
+                // Create covers store (thumbnail image per book)
+                if (!db.objectStoreNames.contains(COVERS_STORE)) {
+                    db.createObjectStore(COVERS_STORE, { keyPath: 'bookId' });
+                }
+                
+                // Create collections store (named lists of book ids)
+                if (!db.objectStoreNames.contains(COLLECTIONS_STORE)) {
+                    db.createObjectStore(COLLECTIONS_STORE, { keyPath: 'id' });
+                }
+                
+                // Create OCR store (recognized words per scanned PDF page)
+                if (!db.objectStoreNames.contains(OCR_STORE)) {
+                    db.createObjectStore(OCR_STORE, { keyPath: ['bookId', 'pageNum'] });
+                }
             };
         });
     }
@@ -78,6 +155,12 @@ class EpubDB {
         return this.promisifyRequest(request);
     }
 
+    async updateBook(book) {
+        const transaction = this.db.transaction([BOOKS_STORE], 'readwrite');
+        const request = transaction.objectStore(BOOKS_STORE).put(book);
+        return this.promisifyRequest(request);
+    }
+
     async getEpubFile(id) {
         const transaction = this.db.transaction([EPUB_STORE], 'readonly');
         const request = transaction.objectStore(EPUB_STORE).get(id);
@@ -86,7 +169,10 @@ class EpubDB {
     }
 
     async deleteBook(id) {
-        const transaction = this.db.transaction([BOOKS_STORE, EPUB_STORE], 'readwrite');
+        const transaction = this.db.transaction(
+            [BOOKS_STORE, EPUB_STORE, SEARCH_STORE, READING_STORE, ANNOTATIONS_STORE, COVERS_STORE, COLLECTIONS_STORE, OCR_STORE],
+            'readwrite'
+        );
         
         try {
             await this.promisifyRequest(
@@ -95,12 +181,140 @@ class EpubDB {
             await this.promisifyRequest(
                 transaction.objectStore(EPUB_STORE).delete(id)
             );
+            await this.promisifyRequest(
+                transaction.objectStore(SEARCH_STORE).delete(id)
+            );
+            await this.promisifyRequest(
+                transaction.objectStore(READING_STORE).delete(id)
+            );
+            await this.promisifyRequest(
+                transaction.objectStore(COVERS_STORE).delete(id)
+            );
+            
+            // OCR pages are keyed [bookId, pageNum]
+            await this.promisifyRequest(
+                transaction.objectStore(OCR_STORE).delete(IDBKeyRange.bound([id, 0], [id, Infinity]))
+            );
+            
+            const annotationsStore = transaction.objectStore(ANNOTATIONS_STORE);
+            const annotationIds = await this.promisifyRequest(
+                annotationsStore.index('bookId').getAllKeys(id)
+            );
+            for (const annotationId of annotationIds) {
+                await this.promisifyRequest(annotationsStore.delete(annotationId));
+            }
+            
+            // Take the book out of any collections it was in
+            const collectionsStore = transaction.objectStore(COLLECTIONS_STORE);
+            const collections = await this.promisifyRequest(collectionsStore.getAll());
+            for (const collection of collections.filter(c => c.bookIds.includes(id))) {
+                collection.bookIds = collection.bookIds.filter(bookId => bookId !== id);
+                await this.promisifyRequest(collectionsStore.put(collection));
+            }
         } catch (error) {
             transaction.abort();
             throw error;
         }
     }
 
+    async putSearchIndex(entry) {
+        const transaction = this.db.transaction([SEARCH_STORE], 'readwrite');
+        const request = transaction.objectStore(SEARCH_STORE).put(entry);
+        return this.promisifyRequest(request);
+    }
+
+    async getSearchIndex(bookId) {
+        const transaction = this.db.transaction([SEARCH_STORE], 'readonly');
+        const request = transaction.objectStore(SEARCH_STORE).get(bookId);
+        return this.promisifyRequest(request);
+    }
+
+    async getAllSearchIndexes() {
+        const transaction = this.db.transaction([SEARCH_STORE], 'readonly');
+        const request = transaction.objectStore(SEARCH_STORE).getAll();
+        return this.promisifyRequest(request);
+    }
+
+    async putReadingPosition(position) {
+        const transaction = this.db.transaction([READING_STORE], 'readwrite');
+        const request = transaction.objectStore(READING_STORE).put(position);
+        return this.promisifyRequest(request);
+    }
+
+    async getReadingPosition(bookId) {
+        const transaction = this.db.transaction([READING_STORE], 'readonly');
+        const request = transaction.objectStore(READING_STORE).get(bookId);
+        return this.promisifyRequest(request);
+    }
+
+    async getAllReadingPositions() {
+        const transaction = this.db.transaction([READING_STORE], 'readonly');
+        const request = transaction.objectStore(READING_STORE).getAll();
+        return this.promisifyRequest(request);
+    }
+
+    async putAnnotation(annotation) {
+        const transaction = this.db.transaction([ANNOTATIONS_STORE], 'readwrite');
+        const request = transaction.objectStore(ANNOTATIONS_STORE).put(annotation);
+        return this.promisifyRequest(request);
+    }
+
+    async deleteAnnotation(id) {
+        const transaction = this.db.transaction([ANNOTATIONS_STORE], 'readwrite');
+        const request = transaction.objectStore(ANNOTATIONS_STORE).delete(id);
+        return this.promisifyRequest(request);
+    }
+
+    async putCover(cover) {
+        const transaction = this.db.transaction([COVERS_STORE], 'readwrite');
+        const request = transaction.objectStore(COVERS_STORE).put(cover);
+        return this.promisifyRequest(request);
+    }
+
+    async getAllCovers() {
+        const transaction = this.db.transaction([COVERS_STORE], 'readonly');
+        const request = transaction.objectStore(COVERS_STORE).getAll();
+        return this.promisifyRequest(request);
+    }
+
+    async putCollection(collection) {
+        const transaction = this.db.transaction([COLLECTIONS_STORE], 'readwrite');
+        const request = transaction.objectStore(COLLECTIONS_STORE).put(collection);
+        return this.promisifyRequest(request);
+    }
+
+    async getAllCollections() {
+        const transaction = this.db.transaction([COLLECTIONS_STORE], 'readonly');
+        const request = transaction.objectStore(COLLECTIONS_STORE).getAll();
+        return this.promisifyRequest(request);
+    }
+
+    async deleteCollection(id) {
+        const transaction = this.db.transaction([COLLECTIONS_STORE], 'readwrite');
+        const request = transaction.objectStore(COLLECTIONS_STORE).delete(id);
+        return this.promisifyRequest(request);
+    }
+
+    async putOcrPage(entry) {
+        const transaction = this.db.transaction([OCR_STORE], 'readwrite');
+        const request = transaction.objectStore(OCR_STORE).put(entry);
+        return this.promisifyRequest(request);
+    }
+
+    async getOcrPage(bookId, pageNum) {
+        const transaction = this.db.transaction([OCR_STORE], 'readonly');
+        const request = transaction.objectStore(OCR_STORE).get([bookId, pageNum]);
+        return this.promisifyRequest(request);
+    }
+
+    async getBookAnnotations(bookId) {
+        const transaction = this.db.transaction([ANNOTATIONS_STORE], 'readonly');
+        const request = transaction.objectStore(ANNOTATIONS_STORE)
+            .index('bookId')
+            .getAll(bookId);
+        return this.promisifyRequest(request);
+    }
+
     async getStorageEstimate() {
         if ('storage' in navigator && 'estimate' in navigator.storage) {
             return await navigator.storage.estimate();
@@ -119,6 +333,14 @@ class EpubDB {
 // Global database instance
 const epubDB = new EpubDB();
 
+// Chapter detection strategies, in the order parsePDF tries them
+const PDF_CHAPTER_STRATEGIES = [
+    { id: 'outline', label: 'PDF outline (bookmarks)' },
+    { id: 'toc', label: 'Table of contents page' },
+    { id: 'content', label: 'Chapter headings found in the text' },
+    { id: 'pages', label: 'Fixed page ranges' }
+];
+
 // PDF parsing functions
 class PDFParser {
     static async parsePDF(arrayBuffer) {
@@ -140,6 +362,7 @@ class PDFParser {
             // Extract title from metadata or use filename
             const metadata = await pdf.getMetadata();
             const title = metadata.info.Title || 'PDF Document';
+            const bookMetadata = this.parseMetadata(metadata);
             
             // Try to extract real chapters from PDF structure
             let chapters = await this.extractChaptersFromOutline(pdf);
@@ -162,13 +385,88 @@ class PDFParser {
                 chapters = await this.createPageBasedChapters(pdf, numPages);
             }
             
-            return { title, chapters, numPages, type: 'pdf' };
+            return { title, chapters, numPages, type: 'pdf', metadata: bookMetadata };
         } catch (error) {
             console.error('Error parsing PDF:', error);
             throw error;
         }
     }
     
+    // Run a single chapter detection strategy from PDF_CHAPTER_STRATEGIES
+    static async detectChapters(pdf, numPages, strategy) {
+        switch (strategy) {
+            case 'outline':
+                return await this.extractChaptersFromOutline(pdf) || [];
+            case 'toc':
+                return await this.extractChaptersFromTOC(pdf, numPages) || [];
+            case 'content':
+                return await this.detectChaptersFromContent(pdf, numPages) || [];
+            case 'pages':
+                return await this.createPageBasedChapters(pdf, numPages) || [];
+            default:
+                throw new Error(`Unknown chapter strategy: ${strategy}`);
+        }
+    }
+    
+    // Strategies worth offering for this PDF (the outline one needs bookmarks)
+    static async getApplicableStrategies(pdf) {
+        const outline = await pdf.getOutline();
+        return PDF_CHAPTER_STRATEGIES.filter(strategy =>
+            strategy.id !== 'outline' || (outline && outline.length > 0));
+    }
+    
+    // Load just the document metadata (for books stored before it was saved)
+    static async readMetadata(arrayBuffer) {
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        try {
+            return this.parseMetadata(await pdf.getMetadata());
+        } finally {
+            pdf.destroy();
+        }
+    }
+    
+    // Map the document info dictionary and XMP packet to book metadata
+    static parseMetadata({ info, metadata: xmp }) {
+        const bookMetadata = emptyBookMetadata();
+        info = info || {};
+        
+        // XMP values can be strings or arrays (e.g. several dc:creator entries)
+        const xmpValues = (key) => {
+            const value = xmp ? xmp.get(key) : null;
+            if (!value) {
+                return [];
+            }
+            return (Array.isArray(value) ? value : [value])
+                .map(item => String(item).trim())
+                .filter(Boolean);
+        };
+        const splitList = (text, separator) => (text || '')
+            .split(separator)
+            .map(item => item.trim())
+            .filter(Boolean);
+        
+        bookMetadata.creators = info.Author ? splitList(info.Author, /;|\s&\s/) : xmpValues('dc:creator');
+        bookMetadata.language = xmpValues('dc:language')[0] || info.Language || '';
+        bookMetadata.publisher = xmpValues('dc:publisher')[0] || '';
+        bookMetadata.date = this.parsePdfDate(info.CreationDate) || xmpValues('xmp:createdate')[0] || '';
+        bookMetadata.identifier = xmpValues('dc:identifier')[0] || xmpValues('prism:isbn')[0] || '';
+        bookMetadata.description = info.Subject || xmpValues('dc:description')[0] || '';
+        bookMetadata.subjects = info.Keywords ? splitList(info.Keywords, /[;,]/) : xmpValues('dc:subject');
+        bookMetadata.series = xmpValues('calibre:series')[0] || '';
+        bookMetadata.seriesIndex = xmpValues('calibre:series_index')[0] || '';
+        
+        return bookMetadata;
+    }
+    
+    // Convert a PDF date string (D:YYYYMMDDHHmmSS...) to YYYY-MM-DD
+    static parsePdfDate(value) {
+        const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?/.exec(value || '');
+        if (!match) {
+            return '';
+        }
+        return [match[1], match[2], match[3]].filter(Boolean).join('-');
+    }
+    
     static async extractChaptersFromOutline(pdf) {
         try {
             const outline = await pdf.getOutline();
@@ -842,930 +1140,5923 @@ class PDFParser {
         }];
     }
     
-    static async extractTextFromPDFRange(arrayBuffer, startPage, endPage) {
+    static async extractTextFromPDFRange(arrayBuffer, startPage, endPage, options = {}) {
         // Check if PDF.js is loaded
         if (typeof pdfjsLib === 'undefined') {
             throw new Error('PDF.js library not loaded');
         }
         
+        let pdf = null;
         try {
-            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-            let fullText = '';
+            pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+            const pages = [];
             
             for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
-                const page = await pdf.getPage(pageNum);
-                const textContent = await page.getTextContent();
-                
-                // Extract text from page
-                let pageText = '';
-                for (const item of textContent.items) {
-                    if (item.str) {
-                        pageText += item.str + ' ';
-                    }
+                pages.push({ pageNum, fragments: await this.getPageFragments(pdf, pageNum, options) });
+            }
+            
+            if (options.stripHeaders !== false) {
+                const repeated = await this.findRepeatedBandLines(pdf, pages, options);
+                for (const page of pages) {
+                    page.fragments = this.removeBandLines(page.fragments, repeated);
                 }
+            }
+            
+            // Rebuild lines and paragraphs from item positions
+            const pageTexts = pages.map(page => this.layoutPageText(page.fragments, options).trim());
+            
+            // A paragraph continued from the previous page is moved up onto
+            // it, so its page marker follows the end of that paragraph
+            const cleanedTexts = cleanUpTextBlocks(pageTexts, { spacedHyphens: true });
+            
+            let fullText = '';
+            pages.forEach((page, i) => {
+                const pageText = cleanedTexts[i];
                 
                 // Add page break and page number
-                if (pageText.trim()) {
-                    fullText += `\n\n--- Page ${pageNum} ---\n\n`;
-                    fullText += pageText.trim() + '\n';
+                if (pageText) {
+                    fullText += options.pageMarkers === false ? '\n\n' : `\n\n--- Page ${page.pageNum} ---\n\n`;
+                    fullText += pageText + '\n';
                 }
-            }
+            });
             
             return fullText.trim();
         } catch (error) {
             console.error('Error extracting PDF text:', error);
             return `[Error extracting text from pages ${startPage}-${endPage}]`;
+        } finally {
+            // Each call parses the document anew, so release it
+            if (pdf) {
+                await pdf.destroy();
+            }
         }
     }
-}
-
-// DOM elements
-const fileInput = document.getElementById('file-input');
-const uploadBtn = document.getElementById('upload-btn');
-const uploadSection = document.getElementById('upload-section');
-const booksSection = document.getElementById('books-section');
-const chaptersSection = document.getElementById('chapters-section');
-const contentSection = document.getElementById('content-section');
-const booksList = document.getElementById('books-list');
-const chaptersList = document.getElementById('chapters-list');
-const bookTitle = document.getElementById('book-title');
-const chapterTitle = document.getElementById('chapter-title');
-const chapterContent = document.getElementById('chapter-content');
-const downloadBtn = document.getElementById('download-btn');
-const downloadFullBookBtn = document.getElementById('download-full-book');
-const loadingIndicator = document.getElementById('loading-indicator');
-const progressFill = document.getElementById('progress-fill');
-const progressText = document.getElementById('progress-text');
-const backToBooks = document.getElementById('back-to-books');
-const backToChapters = document.getElementById('back-to-chapters');
-
-// Initialize app
-document.addEventListener('DOMContentLoaded', async () => {
-    try {
-        await epubDB.init();
-        await migrateFromLocalStorage();
-        await loadBooks();
+    
+    // Positioned text fragments of one page. Pages without a text layer
+    // (scans) are run through OCR when options.ocr is set.
+    static async getPageFragments(pdf, pageNum, options = {}) {
+        const page = await pdf.getPage(pageNum);
+        const textContent = await page.getTextContent();
+        const fragments = this.toFragments(textContent.items);
         
-        // Check if PDF.js loaded
-        if (typeof pdfjsLib !== 'undefined') {
-            console.log('PDF.js loaded successfully');
-        } else {
-            console.warn('PDF.js not loaded - PDF support will be disabled');
+        if (fragments.length > 0 || !options.ocr) {
+            return fragments;
         }
-    } catch (error) {
-        console.error('Failed to initialize database:', error);
-        alert('Failed to initialize storage. Some features may not work.');
+        return this.toFragments(await this.getOcrItems(page, pageNum, options));
     }
     
-    uploadBtn.addEventListener('click', handleUpload);
-    backToBooks.addEventListener('click', showBooksSection);
-    backToChapters.addEventListener('click', () => showChaptersSection(currentBook));
-    downloadBtn.addEventListener('click', downloadChapter);
-    downloadFullBookBtn.addEventListener('click', downloadFullBook);
-});
-
-// Migrate existing data from localStorage to IndexedDB
-async function migrateFromLocalStorage() {
-    try {
-        const oldBooksJson = localStorage.getItem('epubBooks');
-        if (!oldBooksJson) {
-            return; // No old data to migrate
-        }
+    // Recognize the words on a scanned page, as items shaped like those of
+    // getTextContent so they go through the same layout. Cached per book and page;
+    // with options.ocrCachedOnly only the cache is read.
+    static async getOcrItems(page, pageNum, options) {
+        const language = getOcrLanguage(options.language);
         
-        const oldBooks = JSON.parse(oldBooksJson);
-        if (oldBooks.length === 0) {
-            localStorage.removeItem('epubBooks');
-            return;
+        // Pages recognized with another language are done again
+        if (options.bookId) {
+            const cached = await epubDB.getOcrPage(options.bookId, pageNum);
+            if (cached && cached.language === language) {
+                return cached.items;
+            }
         }
-        
-        // Check if migration already happened
-        const existingBooks = await epubDB.getAllBooks();
-        if (existingBooks.length > 0) {
-            return; // Already migrated or has new data
+        if (options.ocrCachedOnly) {
+            return [];
+        }
+        if (typeof Tesseract === 'undefined') {
+            console.warn('Tesseract.js not loaded, cannot recognize scanned page', pageNum);
+            return [];
         }
         
-        console.log('Found old localStorage data, but cannot migrate EPUB files. Old data will be cleared.');
+        const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
         
-        // Clear old localStorage data since we can't migrate without original EPUB files
-        localStorage.removeItem('epubBooks');
+        const onProgress = options.onOcrProgress || (() => {});
+        try {
+            await page.render({ canvasContext: ctx, viewport }).promise;
+            onProgress(pageNum, 0);
+            const result = await recognizePageImage(canvas, language, progress => onProgress(pageNum, progress));
+            
+            // Words of a line share its baseline and height so they are laid out as one line
+            const items = [];
+            for (const line of result.lines) {
+                const [, bottom] = viewport.convertToPdfPoint(line.bbox.x0, line.bbox.y1);
+                const [, top] = viewport.convertToPdfPoint(line.bbox.x0, line.bbox.y0);
+                const fontSize = Math.abs(top - bottom);
+                
+                for (const word of line.words) {
+                    if (!word.text.trim() || word.confidence < OCR_MIN_CONFIDENCE) {
+                        continue;
+                    }
+                    const [left] = viewport.convertToPdfPoint(word.bbox.x0, line.bbox.y1);
+                    const [right] = viewport.convertToPdfPoint(word.bbox.x1, line.bbox.y1);
+                    items.push({
+                        str: word.text,
+                        transform: [fontSize, 0, 0, fontSize, left, bottom],
+                        width: right - left,
+                        height: fontSize
+                    });
+                }
+            }
+            
+            if (options.bookId) {
+                await epubDB.putOcrPage({ bookId: options.bookId, pageNum, language, items });
+                if (options.onOcrCached) {
+                    options.onOcrCached(pageNum);
+                }
+            }
+            return items;
+        } catch (error) {
+            console.error(`Error recognizing text on page ${pageNum}:`, error);
+            return [];
+        } finally {
+            onProgress(pageNum, null);
+            page.cleanup();
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+    }
+    
+    static toFragments(items) {
+        return items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                str: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                fontSize: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10
+            }));
+    }
+    
+    // Find header and footer lines that repeat across pages. Short ranges are
+    // compared with neighbouring pages so a two-page chapter still has a sample.
+    static async findRepeatedBandLines(pdf, pages, options = {}) {
+        const samples = pages.slice(0, PDF_HEADER_SAMPLE_PAGES).map(page => page.fragments);
+        let before = pages[0].pageNum - 1;
+        let after = pages[pages.length - 1].pageNum + 1;
         
-        // Clear any old epub_ keys
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('epub_')) {
-                keysToRemove.push(key);
+        // Neighbouring scanned pages are not worth recognizing just for this
+        const neighbourOptions = { ...options, ocrCachedOnly: true };
+        while (samples.length < PDF_HEADER_SAMPLE_PAGES && (before >= 1 || after <= pdf.numPages)) {
+            if (after <= pdf.numPages) {
+                samples.push(await this.getPageFragments(pdf, after++, neighbourOptions));
+            }
+            if (before >= 1 && samples.length < PDF_HEADER_SAMPLE_PAGES) {
+                samples.push(await this.getPageFragments(pdf, before--, neighbourOptions));
             }
         }
-        keysToRemove.forEach(key => localStorage.removeItem(key));
         
-    } catch (error) {
-        console.error('Error during migration:', error);
-    }
-}
-
-// Load books from IndexedDB
-async function loadBooks() {
-    try {
-        const books = await epubDB.getAllBooks();
-        if (books.length > 0) {
-            showBooksSection();
-            renderBooksList(books);
+        // Too few pages to tell a running header from a repeated heading
+        if (samples.length < PDF_HEADER_MIN_SAMPLES) {
+            return new Set();
         }
-    } catch (error) {
-        console.error('Error loading books:', error);
-    }
-}
-
-// Handle file upload
-async function handleUpload() {
-    const file = fileInput.files[0];
-    if (!file) {
-        alert('Please select a file');
-        return;
+        
+        const counts = new Map();
+        for (const fragments of samples) {
+            const keys = new Set(this.getBandLines(fragments).map(band => band.key));
+            for (const key of keys) {
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+        
+        // Books alternate headers between left and right pages, so each only
+        // needs to appear on about a third of the sample (and never just twice)
+        const threshold = Math.max(3, Math.ceil(samples.length * 0.3));
+        return new Set([...counts].filter(([, count]) => count >= threshold).map(([key]) => key));
     }
     
-    const isEpub = file.name.toLowerCase().endsWith('.epub');
-    const isPdf = file.name.toLowerCase().endsWith('.pdf');
+    // The first and last lines of a page, keyed by band and by text with the
+    // page number masked
+    static getBandLines(fragments) {
+        const lines = this.buildTextLines(fragments);
+        const top = lines.slice(0, PDF_BAND_LINES);
+        const bottom = lines.slice(Math.max(top.length, lines.length - PDF_BAND_LINES));
+        
+        // Roman numerals are only masked as a whole line or as the first or last word
+        const pageNumber = new RegExp(`^(page\\s+)?(${ROMAN_NUMERAL}|\\d+)(\\s*(of|/)\\s*\\d+)?$`);
+        const edgeRomanNumeral = new RegExp(`^${ROMAN_NUMERAL}(?=\\s)|(?<=\\s)${ROMAN_NUMERAL}$`, 'g');
+        const keyOf = line => line.text
+            .toLowerCase()
+            .replace(pageNumber, '#')
+            .replace(/^\d+\b|\b\d+$/g, '#')
+            .replace(edgeRomanNumeral, '#');
+        
+        return [
+            ...top.map(line => ({ line, key: `top:${keyOf(line)}` })),
+            ...bottom.map(line => ({ line, key: `bottom:${keyOf(line)}` }))
+        ];
+    }
     
-    if (!isEpub && !isPdf) {
-        alert('Please select a valid EPUB or PDF file');
-        return;
+    static removeBandLines(fragments, repeated) {
+        if (repeated.size === 0) {
+            return fragments;
+        }
+        
+        const removed = new Set();
+        for (const band of this.getBandLines(fragments)) {
+            if (repeated.has(band.key)) {
+                band.line.fragments.forEach(fragment => removed.add(fragment));
+            }
+        }
+        return fragments.filter(fragment => !removed.has(fragment));
     }
     
-    uploadBtn.disabled = true;
-    uploadBtn.textContent = 'Processing...';
+    // Lay out a page's text fragments: columns from gutters in the x-positions,
+    // lines from shared baselines, paragraphs from vertical gaps, font size
+    // changes and first-line indents. options.columns is 'auto' or a count.
+    static layoutPageText(fragments, options = {}) {
+        return this.splitIntoColumns(fragments, options.columns || 'auto')
+            .map(region => this.groupLinesIntoParagraphs(this.buildTextLines(region))
+                .map(paragraph => paragraph.map(line => line.text).join('\n'))
+                .join('\n\n'))
+            .filter(text => text)
+            .join('\n\n');
+    }
     
-    try {
-        const arrayBuffer = await file.arrayBuffer();
-        let bookData;
-        let fileBlob;
+    // Split a page's fragments into regions in reading order: text spanning
+    // the columns at the top, each column top to bottom, then spanning text below
+    static splitIntoColumns(fragments, columns) {
+        const columnCount = columns === 'auto' ? null : parseInt(columns, 10);
+        if (fragments.length === 0 || columnCount === 1) {
+            return [fragments];
+        }
         
-        if (isEpub) {
-            // Process EPUB
-            const zip = await JSZip.loadAsync(arrayBuffer);
-            const epubData = await parseEpubStructure(zip);
-            
-            bookData = {
-                id: Date.now().toString(),
-                title: epubData.title || file.name.replace('.epub', ''),
-                fileName: file.name,
-                chapters: epubData.chapters,
-                uploadDate: new Date().toISOString(),
-                fileSize: file.size,
-                type: 'epub'
-            };
-            
-            fileBlob = new Blob([arrayBuffer], { type: 'application/epub+zip' });
-            
-        } else if (isPdf) {
-            // Process PDF
-            console.log('Processing PDF, size:', arrayBuffer.byteLength);
-            
-            if (arrayBuffer.byteLength === 0) {
-                throw new Error('PDF file is empty');
+        const gutters = this.findColumnGutters(fragments, columnCount);
+        if (gutters.length === 0) {
+            return [fragments];
+        }
+        
+        // Fragments crossing a gutter span the columns (titles, abstracts, figures)
+        const bounds = [-Infinity, ...gutters.map(gutter => gutter.center), Infinity];
+        const columnFragments = gutters.map(() => []).concat([[]]);
+        const spanning = [];
+        for (const fragment of fragments) {
+            const crosses = gutters.some(gutter =>
+                fragment.x < gutter.start && fragment.x + fragment.width > gutter.end);
+            if (crosses) {
+                spanning.push(fragment);
+                continue;
+            }
+            const center = fragment.x + fragment.width / 2;
+            const index = bounds.findIndex((bound, i) => center >= bound && center < bounds[i + 1]);
+            columnFragments[index].push(fragment);
+        }
+        
+        const columnTop = Math.max(...fragments
+            .filter(fragment => !spanning.includes(fragment))
+            .map(fragment => fragment.y));
+        const above = spanning.filter(fragment => fragment.y > columnTop);
+        const below = spanning.filter(fragment => fragment.y <= columnTop);
+        
+        return [above, ...columnFragments, below].filter(region => region.length > 0);
+    }
+    
+    // Find vertical strips with (almost) no text between columns. With a
+    // column count, the widest strips are used; otherwise only clear gutters count.
+    static findColumnGutters(fragments, columnCount) {
+        const left = Math.min(...fragments.map(fragment => fragment.x));
+        const right = Math.max(...fragments.map(fragment => fragment.x + fragment.width));
+        const fontSize = this.median(fragments.map(fragment => fragment.fontSize));
+        const binWidth = 2;
+        const binCount = Math.ceil((right - left) / binWidth);
+        if (binCount < 10) {
+            return [];
+        }
+        
+        // How many fragments cover each strip of the page
+        const coverage = new Array(binCount).fill(0);
+        for (const fragment of fragments) {
+            const first = Math.max(0, Math.floor((fragment.x - left) / binWidth));
+            const last = Math.min(binCount - 1, Math.floor((fragment.x + fragment.width - left) / binWidth));
+            for (let bin = first; bin <= last; bin++) {
+                coverage[bin]++;
+            }
+        }
+        
+        // A few spanning lines may cross a gutter
+        const maxCrossings = Math.max(1, Math.floor(fragments.length * 0.1));
+        const candidates = [];
+        let runStart = null;
+        for (let bin = 0; bin <= binCount; bin++) {
+            const empty = bin < binCount && coverage[bin] <= maxCrossings;
+            if (empty && runStart === null) {
+                runStart = bin;
+            } else if (!empty && runStart !== null) {
+                const start = left + runStart * binWidth;
+                const end = left + bin * binWidth;
+                
+                // Ignore strips at the page edges and word-sized gaps
+                const interior = runStart > binCount * 0.15 && bin < binCount * 0.85;
+                if (interior && end - start >= fontSize * 0.8) {
+                    candidates.push({ start, end, center: (start + end) / 2, width: end - start });
+                }
+                runStart = null;
             }
+        }
+        
+        // Each side of a gutter needs a real column of text, not a few stray words
+        const linesBeside = (from, to) => new Set(fragments
+            .filter(fragment => fragment.x >= from && fragment.x + fragment.width <= to)
+            .map(fragment => Math.round(fragment.y))).size;
+        const gutters = candidates.filter(candidate =>
+            linesBeside(-Infinity, candidate.start) >= 5 && linesBeside(candidate.end, Infinity) >= 5);
+        
+        if (columnCount) {
+            return gutters
+                .sort((a, b) => b.width - a.width)
+                .slice(0, columnCount - 1)
+                .sort((a, b) => a.start - b.start);
+        }
+        
+        // Automatic detection needs a gutter clearly wider than a word space
+        return gutters
+            .filter(gutter => gutter.width >= fontSize * 1.2)
+            .slice(0, 3);
+    }
+    
+    // Group text fragments into lines, top of the page first
+    static buildTextLines(fragments) {
+        fragments = fragments.slice().sort((a, b) => b.y - a.y || a.x - b.x);
+        
+        const lines = [];
+        for (const fragment of fragments) {
+            const line = lines[lines.length - 1];
             
-            const pdfData = await PDFParser.parsePDF(arrayBuffer);
+            // Superscripts and mixed fonts sit a little off the baseline
+            const tolerance = Math.max(fragment.fontSize, line ? line.fontSize : 0) * 0.5;
+            if (line && Math.abs(line.y - fragment.y) <= tolerance) {
+                line.fragments.push(fragment);
+                line.fontSize = Math.max(line.fontSize, fragment.fontSize);
+            } else {
+                lines.push({ y: fragment.y, fontSize: fragment.fontSize, fragments: [fragment] });
+            }
+        }
+        
+        for (const line of lines) {
+            line.fragments.sort((a, b) => a.x - b.x);
             
-            bookData = {
-                id: Date.now().toString(),
-                title: pdfData.title || file.name.replace('.pdf', ''),
-                fileName: file.name,
-                chapters: pdfData.chapters,
-                uploadDate: new Date().toISOString(),
-                fileSize: file.size,
-                numPages: pdfData.numPages,
-                type: 'pdf'
-            };
+            // Add a space where the gap between items is wider than letter spacing
+            let text = '';
+            let lastEnd = null;
+            for (const fragment of line.fragments) {
+                const gap = lastEnd === null ? 0 : fragment.x - lastEnd;
+                if (gap > fragment.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(fragment.str)) {
+                    text += ' ';
+                }
+                text += fragment.str;
+                lastEnd = Math.max(lastEnd === null ? 0 : lastEnd, fragment.x + fragment.width);
+            }
             
-            // Store the original file blob, not arrayBuffer
-            fileBlob = file;
+            line.text = text.replace(/\s+/g, ' ').trim();
+            line.left = line.fragments[0].x;
+            line.right = lastEnd;
         }
         
-        // Save to IndexedDB
-        await epubDB.addBook(bookData, fileBlob);
+        return lines;
+    }
+    
+    // Split lines into paragraphs
+    static groupLinesIntoParagraphs(lines) {
+        if (lines.length === 0) {
+            return [];
+        }
         
-        // Clear file input and refresh books list
-        fileInput.value = '';
-        await loadBooks();
+        // Typical baseline distance and left margin of the body text
+        const gaps = [];
+        for (let i = 1; i < lines.length; i++) {
+            gaps.push(lines[i - 1].y - lines[i].y);
+        }
+        const lineGap = this.median(gaps.filter(gap => gap > 0));
+        const bodyLeft = Math.min(...lines.map(line => line.left));
         
-    } catch (error) {
-        console.error('Error processing file:', error);
-        if (error.name === 'QuotaExceededError') {
-            alert('Storage quota exceeded. Please delete some books or try a smaller file.');
-        } else {
-            alert('Error processing file. Please try another file.');
+        const paragraphs = [[lines[0]]];
+        for (let i = 1; i < lines.length; i++) {
+            const previous = lines[i - 1];
+            const line = lines[i];
+            const indent = line.fontSize * 0.8;
+            
+            const wideGap = lineGap > 0 && previous.y - line.y > lineGap * 1.4;
+            const fontChange = Math.abs(line.fontSize - previous.fontSize) > Math.max(1, previous.fontSize * 0.15);
+            const indented = line.left - bodyLeft > indent && previous.left - bodyLeft <= indent;
+            
+            if (wideGap || fontChange || indented) {
+                paragraphs.push([line]);
+            } else {
+                paragraphs[paragraphs.length - 1].push(line);
+            }
         }
-    } finally {
-        uploadBtn.disabled = false;
-        uploadBtn.textContent = 'Upload';
+        
+        return paragraphs;
     }
-}
-
-// Parse EPUB structure (metadata only, no content extraction during upload)
-async function parseEpubStructure(zip) {
-    const opfPath = await findOpfPath(zip);
-    const opfContent = await zip.file(opfPath).async('string');
-    const parser = new DOMParser();
-    const opfDoc = parser.parseFromString(opfContent, 'application/xml');
-    
-    // Get title
-    const titleElement = opfDoc.querySelector('metadata title');
-    const title = titleElement ? titleElement.textContent.trim() : 'Unknown Title';
-    
-    // Get spine items (reading order)
-    const spine = opfDoc.querySelector('spine');
-    const itemrefs = spine ? Array.from(spine.querySelectorAll('itemref')) : [];
     
-    // Get manifest items
-    const manifest = opfDoc.querySelector('manifest');
-    const items = manifest ? Array.from(manifest.querySelectorAll('item')) : [];
+    static median(values) {
+        if (values.length === 0) {
+            return 0;
+        }
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
     
-    // Build chapters array with just metadata
-    const chapters = [];
-    for (const itemref of itemrefs) {
-        const idref = itemref.getAttribute('idref');
-        const item = items.find(i => i.getAttribute('id') === idref);
+    static async extractImagesFromPDFRange(arrayBuffer, startPage, endPage) {
+        // Check if PDF.js is loaded
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('PDF.js library not loaded');
+        }
         
-        if (item && item.getAttribute('media-type') === 'application/xhtml+xml') {
-            const href = item.getAttribute('href');
-            const fullPath = opfPath.substring(0, opfPath.lastIndexOf('/') + 1) + href;
-            
-            // Try to get chapter title from content
-            try {
-                const content = await zip.file(fullPath).async('string');
-                const contentDoc = parser.parseFromString(content, 'text/html');
-                
-                // Try multiple selectors to find the chapter title
-                let chapterTitle = '';
-                let debugInfo = [];
-                
-                // Method 1: Try heading tags in body first (more compatible approach)
-                const body = contentDoc.querySelector('body') || contentDoc;
-                const bodyHeadings = body.querySelectorAll('h1, h2, h3, h4, h5, h6');
-                if (bodyHeadings.length > 0) {
-                    chapterTitle = bodyHeadings[0].textContent.trim();
-                    debugInfo.push(`Found body heading: "${chapterTitle}"`);
-                }
-                
-                // Method 2: If no body headings, try any headings (fallback for mobile)
-                if (!chapterTitle) {
-                    const allHeadings = contentDoc.querySelectorAll('h1, h2, h3, h4, h5, h6');
-                    if (allHeadings.length > 0) {
-                        chapterTitle = allHeadings[0].textContent.trim();
-                        debugInfo.push(`Found any heading: "${chapterTitle}"`);
-                    }
-                }
-                
-                // Method 3: Try simple class-based selectors (mobile-friendly)
-                if (!chapterTitle) {
-                    const simpleSelectors = ['h1', 'h2', 'h3'];
-                    for (const selector of simpleSelectors) {
-                        const elements = contentDoc.getElementsByTagName(selector);
-                        if (elements.length > 0) {
-                            chapterTitle = elements[0].textContent.trim();
-                            debugInfo.push(`Found ${selector}: "${chapterTitle}"`);
-                            break;
-                        }
-                    }
-                }
-                
-                // Method 4: Try elements with common chapter classes (simplified for mobile)
-                if (!chapterTitle) {
-                    const commonClasses = ['chapter-title', 'chapter-heading', 'title'];
-                    for (const className of commonClasses) {
-                        const elements = contentDoc.getElementsByClassName(className);
-                        if (elements.length > 0 && elements[0].textContent.trim().length > 0) {
-                            chapterTitle = elements[0].textContent.trim();
-                            debugInfo.push(`Found class ${className}: "${chapterTitle}"`);
-                            break;
-                        }
-                    }
-                }
-                
-                // Method 5: Try bold elements (getElementsByTagName is more mobile-compatible)
-                if (!chapterTitle) {
-                    const boldTags = ['b', 'strong'];
-                    for (const tag of boldTags) {
-                        const elements = contentDoc.getElementsByTagName(tag);
-                        for (let i = 0; i < elements.length; i++) {
-                            const text = elements[i].textContent.trim();
-                            if (text.length > 0 && text.length < 100 && !text.includes(' - ')) {
-                                chapterTitle = text;
-                                debugInfo.push(`Found ${tag}: "${chapterTitle}"`);
-                                break;
-                            }
-                        }
-                        if (chapterTitle) break;
-                    }
-                }
-                
-                // Method 6: Parse filename for chapter info
-                if (!chapterTitle) {
-                    const filename = fullPath.split('/').pop().replace(/\.(xhtml|html)$/, '');
-                    if (filename.match(/chapter|ch\d+|part/i)) {
-                        chapterTitle = filename.replace(/[-_]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-                        debugInfo.push(`From filename: "${chapterTitle}"`);
-                    }
-                }
-                
-                // Method 7: Title tag as last resort with better filtering
-                if (!chapterTitle) {
-                    const titleElements = contentDoc.getElementsByTagName('title');
-                    if (titleElements.length > 0) {
-                        const titleText = titleElements[0].textContent.trim();
-                        // Better filtering for mobile browsers
-                        const skipPatterns = [' - ', ' by ', '|', ':', 'author'];
-                        const shouldSkip = skipPatterns.some(pattern => 
-                            titleText.toLowerCase().includes(pattern.toLowerCase())
-                        );
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        const images = [];
+        const imageOps = [pdfjsLib.OPS.paintImageXObject, pdfjsLib.OPS.paintImageXObjectRepeat];
+        
+        try {
+            for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
+                try {
+                    const page = await pdf.getPage(pageNum);
+                    const operatorList = await page.getOperatorList();
+                    const seenNames = new Set();
+                    
+                    for (let i = 0; i < operatorList.fnArray.length; i++) {
+                        if (!imageOps.includes(operatorList.fnArray[i])) continue;
+                        
+                        const name = operatorList.argsArray[i][0];
+                        if (seenNames.has(name)) continue;
+                        seenNames.add(name);
+                        
+                        const image = await this.getPageObject(page, name);
                         
-                        if (!shouldSkip && titleText.length < 100) {
-                            chapterTitle = titleText;
-                            debugInfo.push(`From title tag: "${chapterTitle}"`);
+                        // Skip tiny images (rules, bullets, spacer pixels)
+                        if (!image || image.width < 32 || image.height < 32) continue;
+                        
+                        const blob = await this.pdfImageToBlob(image);
+                        if (blob) {
+                            images.push({ blob, page: pageNum, width: image.width, height: image.height });
                         }
                     }
+                } catch (error) {
+                    console.warn(`Error extracting images from page ${pageNum}:`, error);
                 }
-                
-                // Fallback to generic chapter name
-                if (!chapterTitle || chapterTitle.length === 0) {
-                    chapterTitle = `Chapter ${chapters.length + 1}`;
-                    debugInfo.push(`Fallback: "${chapterTitle}"`);
+            }
+            
+            return images;
+        } finally {
+            // Release the parsed document and its worker-side data
+            await pdf.destroy();
+        }
+    }
+    
+    static getPageObject(page, name) {
+        // Shared objects (used on several pages) live in commonObjs
+        const objs = name.startsWith('g_') ? page.commonObjs : page.objs;
+        return new Promise(resolve => {
+            try {
+                objs.get(name, resolve);
+            } catch (error) {
+                console.warn('Error getting PDF image object:', name, error);
+                resolve(null);
+            }
+        });
+    }
+    
+    // Draw a decoded pdf.js image onto a canvas and encode it as PNG
+    static async pdfImageToBlob(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        
+        if (image.bitmap) {
+            ctx.drawImage(image.bitmap, 0, 0);
+        } else if (image.data) {
+            const imageData = ctx.createImageData(image.width, image.height);
+            const pixels = imageData.data;
+            const src = image.data;
+            const pixelCount = image.width * image.height;
+            
+            if (image.kind === pdfjsLib.ImageKind.RGBA_32BPP) {
+                pixels.set(src.subarray(0, pixels.length));
+            } else if (image.kind === pdfjsLib.ImageKind.RGB_24BPP) {
+                for (let p = 0, s = 0; p < pixelCount; p++, s += 3) {
+                    pixels[p * 4] = src[s];
+                    pixels[p * 4 + 1] = src[s + 1];
+                    pixels[p * 4 + 2] = src[s + 2];
+                    pixels[p * 4 + 3] = 255;
                 }
-                
-                // Clean up title (remove extra whitespace, limit length)
-                chapterTitle = chapterTitle.replace(/\s+/g, ' ').trim();
-                if (chapterTitle.length > 60) {
-                    chapterTitle = chapterTitle.substring(0, 57) + '...';
+            } else {
+                // 1 bit per pixel, rows padded to whole bytes, set bits are white
+                const rowBytes = (image.width + 7) >> 3;
+                for (let y = 0; y < image.height; y++) {
+                    for (let x = 0; x < image.width; x++) {
+                        const bit = src[y * rowBytes + (x >> 3)] & (128 >> (x & 7));
+                        const offset = (y * image.width + x) * 4;
+                        pixels[offset] = pixels[offset + 1] = pixels[offset + 2] = bit ? 255 : 0;
+                        pixels[offset + 3] = 255;
+                    }
                 }
-                
-                // Log debug info for mobile troubleshooting
-                console.log(`Chapter ${chapters.length + 1} extraction:`, debugInfo);
-                
-                chapters.push({
-                    title: chapterTitle,
-                    href: fullPath
-                });
-            } catch (e) {
-                console.warn('Error processing chapter:', fullPath, e);
-                chapters.push({
-                    title: `Chapter ${chapters.length + 1}`,
-                    href: fullPath
-                });
             }
+            ctx.putImageData(imageData, 0, 0);
+        } else {
+            return null;
+        }
+        
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+    
+    // Draw one page of a loaded PDF to a canvas and return it as a JPEG blob
+    static async renderPageThumbnail(pdf, pageNumber, width) {
+        const page = await pdf.getPage(pageNumber);
+        const baseViewport = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: width / baseViewport.width });
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        await page.render({ canvasContext: ctx, viewport }).promise;
+        page.cleanup();
+        
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    }
+    
+    // Cover thumbnail for a PDF: its first page
+    static async renderCoverThumbnail(arrayBuffer, width) {
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('PDF.js library not loaded');
+        }
+        
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        try {
+            return await this.renderPageThumbnail(pdf, 1, width);
+        } finally {
+            pdf.destroy();
         }
     }
+}
+
+let ocrWorker = null;
+let ocrWorkerLanguage = null;
+let ocrProgressHandler = null;
+let ocrQueue = Promise.resolve();
+
+// Start (or reuse) the Tesseract worker for a language. Recognition runs in
+// the worker, off the main thread.
+async function getOcrWorker(language) {
+    if (ocrWorker && ocrWorkerLanguage === language) {
+        return ocrWorker;
+    }
+    if (ocrWorker) {
+        await ocrWorker.terminate();
+        ocrWorker = null;
+    }
     
-    return { title, chapters };
+    // The worker resolves paths against its own script URL, so pass absolute ones
+    const assetUrl = new URL(OCR_ASSET_PATH, document.baseURI);
+    ocrWorker = await Tesseract.createWorker(language, 1, {
+        workerPath: new URL('worker.min.js', assetUrl).href,
+        corePath: new URL('core', assetUrl).href,
+        langPath: new URL('lang', assetUrl).href,
+        logger: message => {
+            if (message.status === 'recognizing text' && ocrProgressHandler) {
+                ocrProgressHandler(message.progress);
+            }
+        }
+    });
+    ocrWorkerLanguage = language;
+    return ocrWorker;
 }
 
-// Find OPF file path
-async function findOpfPath(zip) {
-    const containerXml = await zip.file('META-INF/container.xml').async('string');
-    const parser = new DOMParser();
-    const containerDoc = parser.parseFromString(containerXml, 'application/xml');
-    const rootfile = containerDoc.querySelector('rootfile');
-    return rootfile.getAttribute('full-path');
+// Tesseract language for a book's metadata language, English when unknown
+function getOcrLanguage(language) {
+    const code = (language || 'en').toLowerCase().split(/[-_]/)[0];
+    return OCR_LANGUAGES[code] || 'eng';
 }
 
-// Render books list
-function renderBooksList(books) {
-    booksList.innerHTML = '';
-    books.forEach(book => {
-        const li = document.createElement('li');
-        li.className = 'book-item';
+// Recognize one page image; pages are recognized one at a time
+function recognizePageImage(canvas, language, onProgress) {
+    const job = ocrQueue.then(async () => {
+        const worker = await getOcrWorker(language);
+        ocrProgressHandler = onProgress;
+        try {
+            const { data } = await worker.recognize(canvas);
+            return data;
+        } finally {
+            ocrProgressHandler = null;
+        }
+    });
+    ocrQueue = job.catch(() => {});
+    return job;
+}
+
+// EPUB excerpt building functions
+class EpubExporter {
+    // Build a new EPUB containing only the given chapters of a book.
+    // Files keep their original paths so the reused XHTML and CSS need no rewriting.
+    static async buildExcerpt(zip, book, chapters) {
+        const opfPath = await findOpfPath(zip);
+        const opfDir = opfPath.substring(0, opfPath.lastIndexOf('/') + 1);
+        const opfDoc = new DOMParser().parseFromString(await zip.file(opfPath).async('string'), 'application/xml');
         
-        // Add book type indicator and additional info
-        const bookType = book.type || 'epub';
-        const typeIndicator = bookType.toUpperCase();
-        const additionalInfo = book.numPages ? ` (${book.numPages} pages)` : '';
+        const manifestItems = Array.from(opfDoc.querySelectorAll('manifest item'));
+        const itemsByPath = new Map(manifestItems.map(item => [resolveEpubPath(opfDir, item.getAttribute('href')), item]));
+        const spinePaths = Array.from(opfDoc.querySelectorAll('spine itemref'))
+            .map(itemref => manifestItems.find(item => item.getAttribute('id') === itemref.getAttribute('idref')))
+            .filter(item => item)
+            .map(item => resolveEpubPath(opfDir, item.getAttribute('href')));
         
-        li.innerHTML = `
-            <div class="book-info">
-                <span class="book-title">${book.title}</span>
-                <span class="book-meta">
-                    <span class="book-type ${bookType}">${typeIndicator}</span>
-                    ${additionalInfo}
-                </span>
-            </div>
-            <div class="book-actions-list">
-                <button class="btn btn-small" onclick="viewBook('${book.id}')">View Chapters</button>
-                <button class="btn btn-small btn-danger" onclick="deleteBook('${book.id}')">Delete</button>
-            </div>
-        `;
-        booksList.appendChild(li);
-    });
+        // Group the selected ranges by file; a whole-file part wins over anchor ranges
+        const rangesByPath = new Map();
+        for (const chapter of chapters) {
+            for (const part of getChapterParts(chapter)) {
+                if (!rangesByPath.has(part.href)) {
+                    rangesByPath.set(part.href, []);
+                }
+                const ranges = rangesByPath.get(part.href);
+                if (ranges !== null) {
+                    rangesByPath.set(part.href, part.anchor || part.endAnchor ? ranges.concat(part) : null);
+                }
+            }
+        }
+        
+        const documentPaths = spinePaths.filter(path => rangesByPath.has(path));
+        if (documentPaths.length === 0) {
+            throw new Error('None of the selected chapters could be found in the EPUB');
+        }
+        const includedDocuments = new Set(documentPaths);
+        
+        const output = new JSZip();
+        // The mimetype entry must come first and be stored uncompressed
+        output.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+        output.file('META-INF/container.xml', this.buildContainerXml(opfPath));
+        
+        const resourcePaths = new Set();
+        for (const path of documentPaths) {
+            const content = await zip.file(path).async('string');
+            const documentXml = this.prepareDocument(content, path, rangesByPath.get(path), includedDocuments, resourcePaths);
+            output.file(path, documentXml);
+        }
+        
+        // Stylesheets can pull in fonts, images and other stylesheets
+        const pendingStylesheets = Array.from(resourcePaths).filter(path => /\.css$/i.test(path));
+        while (pendingStylesheets.length > 0) {
+            const cssPath = pendingStylesheets.pop();
+            const cssFile = zip.file(cssPath);
+            if (!cssFile) continue;
+            
+            for (const referenced of this.findCssReferences(await cssFile.async('string'), cssPath)) {
+                if (!resourcePaths.has(referenced)) {
+                    resourcePaths.add(referenced);
+                    if (/\.css$/i.test(referenced)) {
+                        pendingStylesheets.push(referenced);
+                    }
+                }
+            }
+        }
+        
+        // Keep the cover so e-readers can show a thumbnail
+        const coverItem = manifestItems.find(item =>
+            (item.getAttribute('properties') || '').split(/\s+/).includes('cover-image')
+        );
+        if (coverItem) {
+            resourcePaths.add(resolveEpubPath(opfDir, coverItem.getAttribute('href')));
+        }
+        
+        const includedItems = [];
+        for (const path of documentPaths.concat(Array.from(resourcePaths))) {
+            const item = itemsByPath.get(path);
+            if (!item || includedItems.includes(item)) continue;
+            
+            if (!includedDocuments.has(path)) {
+                const resourceFile = zip.file(path);
+                if (!resourceFile) continue;
+                output.file(path, await resourceFile.async('uint8array'));
+            }
+            includedItems.push(item);
+        }
+        
+        const usedIds = new Set(includedItems.map(item => item.getAttribute('id')));
+        const navId = this.uniqueId('excerpt-nav', usedIds);
+        const ncxId = this.uniqueId('excerpt-ncx', usedIds);
+        const navHref = this.uniqueHref('excerpt-nav.xhtml', opfDir, itemsByPath);
+        const ncxHref = this.uniqueHref('excerpt-toc.ncx', opfDir, itemsByPath);
+        const excerptTitle = `${book.title} (Selected Chapters)`;
+        const identifier = `urn:uuid:${this.generateUuid()}`;
+        
+        const tocEntries = chapters.map(chapter => ({
+            title: chapter.title,
+            href: this.relativeHref(opfDir, chapter.href, chapter.anchor),
+            sections: this.filterSections(chapter.sections || [], includedDocuments, opfDir)
+        }));
+        
+        output.file(opfDir + navHref, this.buildNavDocument(excerptTitle, tocEntries));
+        output.file(opfDir + ncxHref, this.buildNcx(excerptTitle, identifier, tocEntries));
+        output.file(opfPath, this.buildPackageDocument(opfDoc, {
+            title: excerptTitle,
+            identifier,
+            includedItems,
+            documentPaths,
+            itemsByPath,
+            nav: { id: navId, href: navHref },
+            ncx: { id: ncxId, href: ncxHref }
+        }));
+        
+        return output.generateAsync({
+            type: 'blob',
+            mimeType: 'application/epub+zip',
+            compression: 'DEFLATE'
+        });
+    }
+    
+    static buildContainerXml(opfPath) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="${this.escapeXml(opfPath)}" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>
+`;
+    }
+    
+    // Trim a chapter file to the selected ranges, unlink excluded files and note referenced resources
+    static prepareDocument(content, path, ranges, includedDocuments, resourcePaths) {
+        const doc = parseChapterDocument(content);
+        const body = doc.body || doc.querySelector('body');
+        const dir = path.substring(0, path.lastIndexOf('/') + 1);
+        let modified = false;
+        
+        if (ranges && body) {
+            const kept = ranges.map(range => extractChapterRange(doc, body, range));
+            while (body.firstChild) {
+                body.removeChild(body.firstChild);
+            }
+            kept.forEach(container => {
+                while (container.firstChild) {
+                    body.appendChild(container.firstChild);
+                }
+            });
+            modified = true;
+        }
+        
+        // Links into chapters that were left out would be broken
+        for (const link of Array.from(doc.querySelectorAll('a[href]'))) {
+            const href = link.getAttribute('href');
+            if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) continue;
+            
+            if (!includedDocuments.has(resolveEpubPath(dir, href))) {
+                link.removeAttribute('href');
+                modified = true;
+            }
+        }
+        
+        const resourceAttributes = [
+            ['img', 'src'], ['link', 'href'], ['source', 'src'], ['video', 'src'], ['video', 'poster'],
+            ['audio', 'src'], ['object', 'data'], ['embed', 'src'], ['track', 'src']
+        ];
+        for (const [tag, attribute] of resourceAttributes) {
+            for (const element of Array.from(doc.getElementsByTagName(tag))) {
+                this.addResource(element.getAttribute(attribute), dir, resourcePaths);
+            }
+        }
+        for (const image of Array.from(doc.getElementsByTagName('image'))) {
+            this.addResource(image.getAttribute('href') || image.getAttributeNS('http://www.w3.org/1999/xlink', 'href'), dir, resourcePaths);
+        }
+        for (const style of Array.from(doc.getElementsByTagName('style'))) {
+            this.findCssReferences(style.textContent, path).forEach(resource => resourcePaths.add(resource));
+        }
+        for (const element of Array.from(doc.querySelectorAll('[style]'))) {
+            this.findCssReferences(element.getAttribute('style'), path).forEach(resource => resourcePaths.add(resource));
+        }
+        
+        if (!modified) {
+            return content;
+        }
+        
+        const xml = new XMLSerializer().serializeToString(doc);
+        return xml.startsWith('<?xml') ? xml : `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`;
+    }
+    
+    static addResource(href, dir, resourcePaths) {
+        if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) {
+            return;
+        }
+        resourcePaths.add(resolveEpubPath(dir, href));
+    }
+    
+    // Find url(...) and @import references in a stylesheet
+    static findCssReferences(css, cssPath) {
+        const dir = cssPath.substring(0, cssPath.lastIndexOf('/') + 1);
+        const references = [];
+        const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)|@import\s+(['"])([^'"]+)\3/gi;
+        let match;
+        
+        while ((match = pattern.exec(css)) !== null) {
+            const href = (match[2] || match[4] || '').trim();
+            if (href && !/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('#')) {
+                references.push(resolveEpubPath(dir, href));
+            }
+        }
+        
+        return references;
+    }
+    
+    // Keep only the TOC sections whose files made it into the excerpt
+    static filterSections(sections, includedDocuments, opfDir) {
+        return sections
+            .filter(section => includedDocuments.has(section.href))
+            .map(section => ({
+                title: section.title,
+                href: this.relativeHref(opfDir, section.href, section.anchor),
+                sections: this.filterSections(section.sections || [], includedDocuments, opfDir)
+            }));
+    }
+    
+    // Make an href from the OPF directory (where the nav and NCX live) to a file in the zip
+    static relativeHref(fromDir, toPath, anchor) {
+        const fromParts = fromDir.split('/').filter(part => part);
+        const toParts = toPath.split('/');
+        while (fromParts.length > 0 && toParts.length > 1 && fromParts[0] === toParts[0]) {
+            fromParts.shift();
+            toParts.shift();
+        }
+        const relative = '../'.repeat(fromParts.length) + toParts.map(encodeURIComponent).join('/');
+        return anchor ? `${relative}#${encodeURIComponent(anchor)}` : relative;
+    }
+    
+    static buildNavDocument(title, tocEntries) {
+        const renderList = (entries, indent) => {
+            const items = entries.map(entry => {
+                const nested = entry.sections.length > 0 ? `\n${renderList(entry.sections, indent + '        ')}\n${indent}    ` : '';
+                return `${indent}    <li><a href="${this.escapeXml(entry.href)}">${this.escapeXml(entry.title)}</a>${nested}</li>`;
+            });
+            return `${indent}<ol>\n${items.join('\n')}\n${indent}</ol>`;
+        };
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+    <title>${this.escapeXml(title)}</title>
+</head>
+<body>
+    <nav epub:type="toc" id="toc">
+        <h1>Contents</h1>
+${renderList(tocEntries, '        ')}
+    </nav>
+</body>
+</html>
+`;
+    }
+    
+    // EPUB2 readers still look for an NCX
+    static buildNcx(title, identifier, tocEntries) {
+        let playOrder = 0;
+        let maxDepth = 1;
+        
+        const renderPoints = (entries, depth, indent) => entries.map(entry => {
+            playOrder++;
+            maxDepth = Math.max(maxDepth, depth);
+            const nested = entry.sections.length > 0 ? `\n${renderPoints(entry.sections, depth + 1, indent + '    ')}` : '';
+            return `${indent}<navPoint id="navpoint-${playOrder}" playOrder="${playOrder}">
+${indent}    <navLabel><text>${this.escapeXml(entry.title)}</text></navLabel>
+${indent}    <content src="${this.escapeXml(entry.href)}"/>${nested}
+${indent}</navPoint>`;
+        }).join('\n');
+        
+        const navPoints = renderPoints(tocEntries, 1, '        ');
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+    <head>
+        <meta name="dtb:uid" content="${this.escapeXml(identifier)}"/>
+        <meta name="dtb:depth" content="${maxDepth}"/>
+        <meta name="dtb:totalPageCount" content="0"/>
+        <meta name="dtb:maxPageNumber" content="0"/>
+    </head>
+    <docTitle><text>${this.escapeXml(title)}</text></docTitle>
+    <navMap>
+${navPoints}
+    </navMap>
+</ncx>
+`;
+    }
+    
+    static buildPackageDocument(opfDoc, options) {
+        const metadataText = (name) => {
+            const element = opfDoc.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', name)[0];
+            return element ? element.textContent.trim() : '';
+        };
+        
+        const metadata = [
+            `<dc:identifier id="book-id">${this.escapeXml(options.identifier)}</dc:identifier>`,
+            `<dc:title>${this.escapeXml(options.title)}</dc:title>`,
+            `<dc:language>${this.escapeXml(metadataText('language') || 'en')}</dc:language>`
+        ];
+        for (const name of ['creator', 'publisher', 'rights']) {
+            const value = metadataText(name);
+            if (value) {
+                metadata.push(`<dc:${name}>${this.escapeXml(value)}</dc:${name}>`);
+            }
+        }
+        const sourceIdentifier = metadataText('identifier');
+        if (sourceIdentifier) {
+            metadata.push(`<dc:source>${this.escapeXml(sourceIdentifier)}</dc:source>`);
+        }
+        metadata.push(`<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`);
+        
+        const manifest = options.includedItems.map(item => {
+            const properties = (item.getAttribute('properties') || '').split(/\s+/)
+                .filter(property => property && property !== 'nav');
+            return `<item id="${this.escapeXml(item.getAttribute('id'))}" href="${this.escapeXml(item.getAttribute('href'))}" media-type="${this.escapeXml(item.getAttribute('media-type'))}"${properties.length > 0 ? ` properties="${properties.join(' ')}"` : ''}/>`;
+        });
+        manifest.push(`<item id="${options.nav.id}" href="${this.escapeXml(options.nav.href)}" media-type="application/xhtml+xml" properties="nav"/>`);
+        manifest.push(`<item id="${options.ncx.id}" href="${this.escapeXml(options.ncx.href)}" media-type="application/x-dtbncx+xml"/>`);
+        
+        const spine = options.documentPaths.map(path =>
+            `<itemref idref="${this.escapeXml(options.itemsByPath.get(path).getAttribute('id'))}"/>`
+        );
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        ${metadata.join('\n        ')}
+    </metadata>
+    <manifest>
+        ${manifest.join('\n        ')}
+    </manifest>
+    <spine toc="${options.ncx.id}">
+        ${spine.join('\n        ')}
+    </spine>
+</package>
+`;
+    }
+    
+    static uniqueId(base, usedIds) {
+        let id = base;
+        for (let n = 1; usedIds.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        usedIds.add(id);
+        return id;
+    }
+    
+    static uniqueHref(base, opfDir, itemsByPath) {
+        let href = base;
+        for (let n = 1; itemsByPath.has(opfDir + href); n++) {
+            href = base.replace(/(\.\w+)$/, `-${n}$1`);
+        }
+        return href;
+    }
+    
+    static generateUuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+    
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Standalone HTML export functions
+class HtmlExporter {
+    // Build one self-contained HTML file for the given chapters. The book's CSS is
+    // inlined and images/fonts become data URIs so the file works offline.
+    static async buildHtml(book, source, chapters, options = {}) {
+        const title = options.title || book.title;
+        const outputDoc = document.implementation.createHTMLDocument(title);
+        const head = outputDoc.head;
+        const body = outputDoc.body;
+        
+        const charset = outputDoc.createElement('meta');
+        charset.setAttribute('charset', 'utf-8');
+        head.insertBefore(charset, head.firstChild);
+        const viewport = outputDoc.createElement('meta');
+        viewport.setAttribute('name', 'viewport');
+        viewport.setAttribute('content', 'width=device-width, initial-scale=1.0');
+        head.appendChild(viewport);
+        
+        const state = {
+            zip: source.zip,
+            dataUris: new Map(),
+            stylesheets: new Set(),
+            sectionIds: new Map()
+        };
+        
+        // Table of contents for multi-chapter exports
+        if (chapters.length > 1) {
+            const heading = outputDoc.createElement('h1');
+            heading.textContent = title;
+            body.appendChild(heading);
+            
+            const nav = outputDoc.createElement('nav');
+            nav.className = 'exported-toc';
+            const list = outputDoc.createElement('ol');
+            chapters.forEach((chapter, index) => {
+                const item = outputDoc.createElement('li');
+                const link = outputDoc.createElement('a');
+                link.href = `#chapter-${index + 1}`;
+                link.textContent = chapter.title;
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            nav.appendChild(list);
+            body.appendChild(nav);
+        }
+        
+        // Links between files can only be resolved once every part has an id
+        if (book.type === 'epub') {
+            chapters.forEach((chapter, chapterIndex) => {
+                getChapterParts(chapter).forEach((part, partIndex) => {
+                    if (!state.sectionIds.has(part.href)) {
+                        state.sectionIds.set(part.href, `chapter-${chapterIndex + 1}-part-${partIndex + 1}`);
+                    }
+                });
+            });
+        }
+        
+        for (let i = 0; i < chapters.length; i++) {
+            const chapter = chapters[i];
+            const section = outputDoc.createElement('section');
+            section.className = 'exported-chapter';
+            section.id = `chapter-${i + 1}`;
+            
+            if (options.onProgress) {
+                options.onProgress(i, chapters.length);
+            }
+            
+            try {
+                if (book.type === 'epub') {
+                    await this.appendEpubChapter(section, chapter, i, state);
+                } else {
+                    await this.appendPdfChapter(section, chapter, source, getPdfTextOptions(book, options.onOcrProgress));
+                }
+            } catch (error) {
+                console.warn('Error exporting chapter as HTML:', chapter.title, error);
+                const errorParagraph = outputDoc.createElement('p');
+                errorParagraph.textContent = '[Error loading chapter content]';
+                section.appendChild(errorParagraph);
+            }
+            
+            body.appendChild(section);
+        }
+        
+        for (const css of state.stylesheets) {
+            const style = outputDoc.createElement('style');
+            style.textContent = css;
+            head.appendChild(style);
+        }
+        
+        return `<!DOCTYPE html>\n${outputDoc.documentElement.outerHTML}\n`;
+    }
+    
+    static async appendEpubChapter(section, chapter, chapterIndex, state) {
+        const outputDoc = section.ownerDocument;
+        const parts = getChapterParts(chapter);
+        
+        for (let partIndex = 0; partIndex < parts.length; partIndex++) {
+            const part = parts[partIndex];
+            const loaded = await loadEpubPart(state.zip, part);
+            if (!loaded) continue;
+            
+            // Stylesheets linked or embedded in the chapter's head
+            for (const link of Array.from(loaded.doc.getElementsByTagName('link'))) {
+                const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+                const href = link.getAttribute('href');
+                if (rel.includes('stylesheet') && href && !/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+                    const cssPath = resolveEpubPath(part.href.substring(0, part.href.lastIndexOf('/') + 1), href);
+                    state.stylesheets.add(await this.inlineStylesheet(cssPath, state, new Set()));
+                }
+            }
+            for (const style of Array.from(loaded.doc.getElementsByTagName('style'))) {
+                state.stylesheets.add(await this.inlineCss(style.textContent, part.href, state, new Set()));
+            }
+            
+            const root = loaded.rootElement;
+            this.sanitize(root);
+            await this.inlineImages(root, part.href, state);
+            this.rewriteLinks(root, part.href, state);
+            
+            // Keep the body's class so the book's CSS still matches
+            const wrapper = outputDoc.createElement('div');
+            wrapper.id = `chapter-${chapterIndex + 1}-part-${partIndex + 1}`;
+            const sourceBody = loaded.doc.body || loaded.doc.querySelector('body');
+            if (sourceBody && sourceBody.getAttribute('class')) {
+                wrapper.className = sourceBody.getAttribute('class');
+            }
+            
+            for (const child of Array.from(root.childNodes)) {
+                wrapper.appendChild(outputDoc.importNode(child, true));
+            }
+            section.appendChild(wrapper);
+        }
+    }
+    
+    static async appendPdfChapter(section, chapter, source, textOptions) {
+        const outputDoc = section.ownerDocument;
+        const heading = outputDoc.createElement('h2');
+        heading.textContent = chapter.title;
+        section.appendChild(heading);
+        
+        // pdf.js transfers the buffer to its worker, which empties it, so each
+        // chapter gets its own copy. Page markers only make sense in plain text.
+        const text = await PDFParser.extractTextFromPDFRange(
+            source.arrayBuffer.slice(0),
+            chapter.startPage,
+            chapter.endPage,
+            { ...textOptions, pageMarkers: false }
+        );
+        for (const paragraph of text.split(/\n{2,}/)) {
+            if (!paragraph.trim()) continue;
+            const p = outputDoc.createElement('p');
+            p.textContent = paragraph.trim();
+            section.appendChild(p);
+        }
+    }
+    
+    // Drop scripts and event handlers; the export should be inert
+    static sanitize(root) {
+        for (const element of Array.from(root.querySelectorAll('script, noscript, iframe, object, embed'))) {
+            element.parentNode.removeChild(element);
+        }
+        for (const element of Array.from(root.querySelectorAll('*'))) {
+            for (const attribute of Array.from(element.attributes)) {
+                const value = attribute.value.trim().toLowerCase();
+                if (attribute.name.toLowerCase().startsWith('on') || value.startsWith('javascript:')) {
+                    element.removeAttribute(attribute.name);
+                }
+            }
+        }
+    }
+    
+    static async inlineImages(root, partHref, state) {
+        const dir = partHref.substring(0, partHref.lastIndexOf('/') + 1);
+        
+        for (const image of Array.from(root.getElementsByTagName('img'))) {
+            const dataUri = await this.toDataUri(image.getAttribute('src'), dir, state);
+            if (dataUri) {
+                image.setAttribute('src', dataUri);
+                image.removeAttribute('srcset');
+            }
+        }
+        
+        // SVG <image> elements use href or xlink:href
+        for (const image of Array.from(root.getElementsByTagName('image'))) {
+            const xlinkHref = image.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+            const dataUri = await this.toDataUri(image.getAttribute('href') || xlinkHref, dir, state);
+            if (dataUri) {
+                if (xlinkHref) {
+                    image.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', dataUri);
+                } else {
+                    image.setAttribute('href', dataUri);
+                }
+            }
+        }
+        
+        for (const element of Array.from(root.querySelectorAll('[style]'))) {
+            element.setAttribute('style', await this.inlineCss(element.getAttribute('style'), partHref, state, new Set()));
+        }
+    }
+    
+    // Point links at the exported sections; links to files that were not exported are dropped
+    static rewriteLinks(root, partHref, state) {
+        const dir = partHref.substring(0, partHref.lastIndexOf('/') + 1);
+        
+        for (const link of Array.from(root.querySelectorAll('a[href]'))) {
+            const href = link.getAttribute('href');
+            if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) continue;
+            
+            const targetPath = resolveEpubPath(dir, href);
+            const fragment = getHrefFragment(href);
+            if (state.sectionIds.has(targetPath)) {
+                link.setAttribute('href', `#${fragment || state.sectionIds.get(targetPath)}`);
+            } else {
+                link.removeAttribute('href');
+            }
+        }
+    }
+    
+    static async inlineStylesheet(cssPath, state, seen) {
+        if (seen.has(cssPath)) {
+            return '';
+        }
+        seen.add(cssPath);
+        
+        const cssFile = state.zip.file(cssPath);
+        if (!cssFile) {
+            console.warn('Stylesheet not found in EPUB:', cssPath);
+            return '';
+        }
+        return this.inlineCss(await cssFile.async('string'), cssPath, state, seen);
+    }
+    
+    // Inline @import rules and turn url(...) references into data URIs
+    static async inlineCss(css, cssPath, state, seen) {
+        const dir = cssPath.substring(0, cssPath.lastIndexOf('/') + 1);
+        let result = '';
+        let lastIndex = 0;
+        const pattern = /@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?[^;]*;|url\(\s*(['"]?)([^'")]+)\3\s*\)/gi;
+        let match;
+        
+        while ((match = pattern.exec(css)) !== null) {
+            result += css.substring(lastIndex, match.index);
+            lastIndex = pattern.lastIndex;
+            
+            if (match[2] !== undefined) {
+                const importHref = match[2];
+                result += /^[a-z][a-z0-9+.-]*:/i.test(importHref)
+                    ? match[0]
+                    : await this.inlineStylesheet(resolveEpubPath(dir, importHref), state, seen);
+            } else {
+                const dataUri = await this.toDataUri(match[4].trim(), dir, state);
+                result += dataUri ? `url("${dataUri}")` : match[0];
+            }
+        }
+        
+        return result + css.substring(lastIndex);
+    }
+    
+    static async toDataUri(href, dir, state) {
+        if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) {
+            return null;
+        }
+        
+        const path = resolveEpubPath(dir, href);
+        if (state.dataUris.has(path)) {
+            return state.dataUris.get(path);
+        }
+        
+        const file = state.zip.file(path);
+        if (!file) {
+            console.warn('Resource not found in EPUB:', path);
+            state.dataUris.set(path, null);
+            return null;
+        }
+        
+        const dataUri = `data:${guessMediaType(path)};base64,${await file.async('base64')}`;
+        state.dataUris.set(path, dataUri);
+        return dataUri;
+    }
+}
+
+// Guess a resource's media type from its file extension
+function guessMediaType(path) {
+    const extension = path.split('.').pop().toLowerCase();
+    const mediaTypes = {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        svg: 'image/svg+xml',
+        webp: 'image/webp',
+        bmp: 'image/bmp',
+        css: 'text/css',
+        ttf: 'font/ttf',
+        otf: 'font/otf',
+        woff: 'font/woff',
+        woff2: 'font/woff2',
+        mp3: 'audio/mpeg',
+        mp4: 'video/mp4'
+    };
+    return mediaTypes[extension] || 'application/octet-stream';
+}
+
+// DOM elements
+const fileInput = document.getElementById('file-input');
+const uploadBtn = document.getElementById('upload-btn');
+const uploadSection = document.getElementById('upload-section');
+const booksSection = document.getElementById('books-section');
+const chaptersSection = document.getElementById('chapters-section');
+const contentSection = document.getElementById('content-section');
+const booksList = document.getElementById('books-list');
+const chaptersList = document.getElementById('chapters-list');
+const bookTitle = document.getElementById('book-title');
+const chapterTitle = document.getElementById('chapter-title');
+const chapterContent = document.getElementById('chapter-content');
+const downloadBtn = document.getElementById('download-btn');
+const downloadFullBookBtn = document.getElementById('download-full-book');
+const downloadMarkdownBtn = document.getElementById('download-md-btn');
+const downloadFullBookMdBtn = document.getElementById('download-full-book-md');
+const markdownTocCheckbox = document.getElementById('markdown-toc');
+const exportEpubBtn = document.getElementById('export-epub-btn');
+const downloadHtmlBtn = document.getElementById('download-html-btn');
+const chapterImages = document.getElementById('chapter-images');
+const readerModeBtn = document.getElementById('reader-mode-btn');
+const downloadImagesBtn = document.getElementById('download-images-btn');
+const downloadFullBookHtmlBtn = document.getElementById('download-full-book-html');
+const loadingIndicator = document.getElementById('loading-indicator');
+const progressFill = document.getElementById('progress-fill');
+const progressText = document.getElementById('progress-text');
+const backToBooks = document.getElementById('back-to-books');
+const backToChapters = document.getElementById('back-to-chapters');
+const mergeSplitChaptersOption = document.getElementById('merge-split-chapters-option');
+const mergeSplitChaptersCheckbox = document.getElementById('merge-split-chapters');
+const editChaptersBtn = document.getElementById('edit-chapters-btn');
+const chapterEditor = document.getElementById('chapter-editor');
+const bookDetailsForm = document.getElementById('book-details-form');
+const chapterEditorList = document.getElementById('chapter-editor-list');
+const saveChaptersBtn = document.getElementById('save-chapters-btn');
+const cancelChaptersBtn = document.getElementById('cancel-chapters-btn');
+const resetChaptersBtn = document.getElementById('reset-chapters-btn');
+const editPagesBtn = document.getElementById('edit-pages-btn');
+const pdfPagesSection = document.getElementById('pdf-pages-section');
+const pdfPagesTitle = document.getElementById('pdf-pages-title');
+const pageChapterList = document.getElementById('page-chapter-list');
+const pdfPageGrid = document.getElementById('pdf-page-grid');
+const savePagesBtn = document.getElementById('save-pages-btn');
+const cancelPagesBtn = document.getElementById('cancel-pages-btn');
+const redetectChaptersBtn = document.getElementById('redetect-chapters-btn');
+const pdfTextOptions = document.getElementById('pdf-text-options');
+const pdfColumnsSelect = document.getElementById('pdf-columns');
+const pdfStripHeadersCheckbox = document.getElementById('pdf-strip-headers');
+const pdfPageMarkersCheckbox = document.getElementById('pdf-page-markers');
+const pdfOcrCheckbox = document.getElementById('pdf-ocr');
+const ocrStatus = document.getElementById('ocr-status');
+const redetectPanel = document.getElementById('redetect-panel');
+const strategyList = document.getElementById('strategy-list');
+const redetectPreviewTitle = document.getElementById('redetect-preview-title');
+const redetectPreviewList = document.getElementById('redetect-preview-list');
+const applyRedetectBtn = document.getElementById('apply-redetect-btn');
+const closeRedetectBtn = document.getElementById('close-redetect-btn');
+const searchInput = document.getElementById('library-search');
+const sortBooksSelect = document.getElementById('sort-books');
+const filterTypeSelect = document.getElementById('filter-type');
+const filterTagSelect = document.getElementById('filter-tag');
+const filterTextInput = document.getElementById('filter-text');
+const groupBooksSelect = document.getElementById('group-books');
+const layoutToggleBtn = document.getElementById('layout-toggle');
+const filterCollectionSelect = document.getElementById('filter-collection');
+const collectionActions = document.getElementById('collection-actions');
+const newCollectionBtn = document.getElementById('new-collection-btn');
+const renameCollectionBtn = document.getElementById('rename-collection-btn');
+const deleteCollectionBtn = document.getElementById('delete-collection-btn');
+const collectionExportFormat = document.getElementById('collection-export-format');
+const exportCollectionBtn = document.getElementById('export-collection-btn');
+const searchStatus = document.getElementById('search-status');
+const searchResults = document.getElementById('search-results');
+const findInput = document.getElementById('find-input');
+const findCaseCheckbox = document.getElementById('find-case');
+const findWholeWordCheckbox = document.getElementById('find-whole-word');
+const findPrevBtn = document.getElementById('find-prev');
+const findNextBtn = document.getElementById('find-next');
+const findCount = document.getElementById('find-count');
+const prevChapterBtn = document.getElementById('prev-chapter');
+const nextChapterBtn = document.getElementById('next-chapter');
+const continueReadingBtn = document.getElementById('continue-reading-btn');
+const highlightBtn = document.getElementById('highlight-btn');
+const annotationsBtn = document.getElementById('annotations-btn');
+const annotationsSection = document.getElementById('annotations-section');
+const annotationsTitle = document.getElementById('annotations-title');
+const annotationsList = document.getElementById('annotations-list');
+const backToChaptersFromAnnotations = document.getElementById('back-to-chapters-from-annotations');
+const exportAnnotationsMdBtn = document.getElementById('export-annotations-md');
+const exportAnnotationsJsonBtn = document.getElementById('export-annotations-json');
+
+// Initialize app
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        await epubDB.init();
+        await migrateFromLocalStorage();
+        await loadBooks();
+        
+        // Index books stored before search existed and fill in missing
+        // metadata and covers (all run in the background)
+        indexMissingBooks();
+        backfillBookMetadata();
+        generateMissingCovers();
+        
+        // Check if PDF.js loaded
+        if (typeof pdfjsLib !== 'undefined') {
+            console.log('PDF.js loaded successfully');
+        } else {
+            console.warn('PDF.js not loaded - PDF support will be disabled');
+        }
+    } catch (error) {
+        console.error('Failed to initialize database:', error);
+        alert('Failed to initialize storage. Some features may not work.');
+    }
+    
+    initLibraryControls();
+    uploadBtn.addEventListener('click', handleUpload);
+    backToBooks.addEventListener('click', loadBooks);
+    backToChapters.addEventListener('click', () => {
+        saveReadingPosition();
+        showChaptersSection(currentBook);
+    });
+    prevChapterBtn.addEventListener('click', () => goToAdjacentChapter(-1));
+    nextChapterBtn.addEventListener('click', () => goToAdjacentChapter(1));
+    continueReadingBtn.addEventListener('click', () => continueReading(currentBook.id));
+    chapterContent.addEventListener('scroll', handleChapterScroll);
+    document.addEventListener('selectionchange', handleChapterSelection);
+    highlightBtn.addEventListener('click', saveSelectionAsHighlight);
+    annotationsBtn.addEventListener('click', () => showAnnotationsSection(currentBook));
+    backToChaptersFromAnnotations.addEventListener('click', () => showChaptersSection(currentBook));
+    exportAnnotationsMdBtn.addEventListener('click', () => exportAnnotations('md'));
+    exportAnnotationsJsonBtn.addEventListener('click', () => exportAnnotations('json'));
+    downloadBtn.addEventListener('click', downloadChapter);
+    downloadMarkdownBtn.addEventListener('click', downloadChapterMarkdown);
+    downloadFullBookBtn.addEventListener('click', () => downloadFullBook('txt'));
+    downloadFullBookMdBtn.addEventListener('click', () => downloadFullBook('md'));
+    downloadHtmlBtn.addEventListener('click', downloadChapterHtml);
+    downloadImagesBtn.addEventListener('click', downloadChapterImages);
+    readerModeBtn.addEventListener('click', toggleReaderMode);
+    downloadFullBookHtmlBtn.addEventListener('click', downloadFullBookHtml);
+    exportEpubBtn.addEventListener('click', exportSelectedChaptersAsEpub);
+    mergeSplitChaptersCheckbox.addEventListener('change', toggleMergeSplitChapters);
+    editChaptersBtn.addEventListener('click', openChapterEditor);
+    saveChaptersBtn.addEventListener('click', saveChapterEdits);
+    cancelChaptersBtn.addEventListener('click', closeChapterEditor);
+    resetChaptersBtn.addEventListener('click', resetChapterEdits);
+    editPagesBtn.addEventListener('click', openPdfPageEditor);
+    redetectChaptersBtn.addEventListener('click', openRedetectPanel);
+    pdfColumnsSelect.addEventListener('change', () => updatePdfTextOption('pdfColumns', pdfColumnsSelect.value));
+    pdfStripHeadersCheckbox.addEventListener('change', () => updatePdfTextOption('pdfStripHeaders', pdfStripHeadersCheckbox.checked));
+    pdfPageMarkersCheckbox.addEventListener('change', () => updatePdfTextOption('pdfPageMarkers', pdfPageMarkersCheckbox.checked));
+    pdfOcrCheckbox.addEventListener('change', () => updatePdfTextOption('pdfOcr', pdfOcrCheckbox.checked));
+    applyRedetectBtn.addEventListener('click', applyRedetectedChapters);
+    closeRedetectBtn.addEventListener('click', closeRedetectPanel);
+    savePagesBtn.addEventListener('click', savePdfPageChapters);
+    cancelPagesBtn.addEventListener('click', () => {
+        closePdfPageEditor();
+        showChaptersSection(currentBook);
+    });
+    searchInput.addEventListener('input', handleSearchInput);
+    findInput.addEventListener('input', handleFindInput);
+    findInput.addEventListener('keydown', handleFindKeydown);
+    findCaseCheckbox.addEventListener('change', handleFindInput);
+    findWholeWordCheckbox.addEventListener('change', handleFindInput);
+    findPrevBtn.addEventListener('click', () => findNext(-1));
+    findNextBtn.addEventListener('click', () => findNext(1));
+});
+
+// Migrate existing data from localStorage to IndexedDB
+async function migrateFromLocalStorage() {
+    try {
+        const oldBooksJson = localStorage.getItem('epubBooks');
+        if (!oldBooksJson) {
+            return; // No old data to migrate
+        }
+        
+        const oldBooks = JSON.parse(oldBooksJson);
+        if (oldBooks.length === 0) {
+            localStorage.removeItem('epubBooks');
+            return;
+        }
+        
+        // Check if migration already happened
+        const existingBooks = await epubDB.getAllBooks();
+        if (existingBooks.length > 0) {
+            return; // Already migrated or has new data
+        }
+        
+        console.log('Found old localStorage data, but cannot migrate EPUB files. Old data will be cleared.');
+        
+        // Clear old localStorage data since we can't migrate without original EPUB files
+        localStorage.removeItem('epubBooks');
+        
+        // Clear any old epub_ keys
+        const keysToRemove = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('epub_')) {
+                keysToRemove.push(key);
+            }
+        }
+        keysToRemove.forEach(key => localStorage.removeItem(key));
+        
+    } catch (error) {
+        console.error('Error during migration:', error);
+    }
+}
+
+// Load books from IndexedDB
+async function loadBooks() {
+    try {
+        const books = await epubDB.getAllBooks();
+        if (books.length > 0) {
+            const positions = await epubDB.getAllReadingPositions();
+            const covers = await epubDB.getAllCovers();
+            
+            libraryBooks = books;
+            libraryCollections = await epubDB.getAllCollections();
+            libraryPositions = new Map(positions.map(position => [position.bookId, position]));
+            libraryCovers = new Map(covers.filter(cover => cover.blob).map(cover => [cover.bookId, cover.blob]));
+            
+            showBooksSection();
+            renderTagFilter();
+            renderCollectionFilter();
+            renderLibrary();
+        }
+    } catch (error) {
+        console.error('Error loading books:', error);
+    }
+}
+
+// Handle file upload
+async function handleUpload() {
+    const file = fileInput.files[0];
+    if (!file) {
+        alert('Please select a file');
+        return;
+    }
+    
+    const isEpub = file.name.toLowerCase().endsWith('.epub');
+    const isPdf = file.name.toLowerCase().endsWith('.pdf');
+    
+    if (!isEpub && !isPdf) {
+        alert('Please select a valid EPUB or PDF file');
+        return;
+    }
+    
+    uploadBtn.disabled = true;
+    uploadBtn.textContent = 'Processing...';
+    
+    try {
+        const arrayBuffer = await file.arrayBuffer();
+        let bookData;
+        let fileBlob;
+        
+        if (isEpub) {
+            // Process EPUB
+            const zip = await JSZip.loadAsync(arrayBuffer);
+            const epubData = await parseEpubStructure(zip);
+            
+            bookData = {
+                id: Date.now().toString(),
+                title: epubData.title || file.name.replace('.epub', ''),
+                fileName: file.name,
+                chapters: epubData.chapters,
+                metadata: epubData.metadata,
+                uploadDate: new Date().toISOString(),
+                fileSize: file.size,
+                type: 'epub'
+            };
+            
+            fileBlob = new Blob([arrayBuffer], { type: 'application/epub+zip' });
+            
+        } else if (isPdf) {
+            // Process PDF
+            console.log('Processing PDF, size:', arrayBuffer.byteLength);
+            
+            if (arrayBuffer.byteLength === 0) {
+                throw new Error('PDF file is empty');
+            }
+            
+            const pdfData = await PDFParser.parsePDF(arrayBuffer);
+            
+            bookData = {
+                id: Date.now().toString(),
+                title: pdfData.title || file.name.replace('.pdf', ''),
+                fileName: file.name,
+                chapters: pdfData.chapters,
+                metadata: pdfData.metadata,
+                uploadDate: new Date().toISOString(),
+                fileSize: file.size,
+                numPages: pdfData.numPages,
+                type: 'pdf'
+            };
+            
+            // Store the original file blob, not arrayBuffer
+            fileBlob = file;
+        }
+        
+        // Save to IndexedDB
+        await epubDB.addBook(bookData, fileBlob);
+        
+        // Make the cover thumbnail once so the list never has to open the file
+        await storeBookCover(bookData);
+        
+        // Clear file input and refresh books list
+        fileInput.value = '';
+        await loadBooks();
+        
+        // Build the search index without holding up the upload
+        queueSearchIndexing(bookData);
+        
+    } catch (error) {
+        console.error('Error processing file:', error);
+        if (error.name === 'QuotaExceededError') {
+            alert('Storage quota exceeded. Please delete some books or try a smaller file.');
+        } else {
+            alert('Error processing file. Please try another file.');
+        }
+    } finally {
+        uploadBtn.disabled = false;
+        uploadBtn.textContent = 'Upload';
+    }
+}
+
+// Parse EPUB structure (metadata only, no content extraction during upload)
+async function parseEpubStructure(zip) {
+    const epubPackage = await loadEpubPackage(zip);
+    const opfDoc = epubPackage.opfDoc;
+    
+    // Get title
+    const titleElement = opfDoc.querySelector('metadata title');
+    const title = titleElement ? titleElement.textContent.trim() : 'Unknown Title';
+    const metadata = parseEpubMetadata(opfDoc);
+    
+    // Prefer the book's own table of contents (EPUB3 nav or EPUB2 NCX)
+    const tocChapters = await detectEpubChapters(zip, epubPackage, 'toc');
+    if (tocChapters.length > 0) {
+        console.log(`Built ${tocChapters.length} chapters from the EPUB table of contents`);
+        return { title, chapters: tocChapters, metadata };
+    }
+    
+    const chapters = await detectEpubChapters(zip, epubPackage, 'spine');
+    return { title, chapters, metadata };
+}
+
+// Chapter detection strategies for EPUBs, in the order parseEpubStructure tries them
+const EPUB_CHAPTER_STRATEGIES = [
+    { id: 'toc', label: 'Table of contents (nav or NCX)' },
+    { id: 'spine', label: 'One chapter per file, titles guessed from the text' }
+];
+
+// Read the OPF package: document, directory, manifest items and spine paths
+async function loadEpubPackage(zip) {
+    const opfPath = await findOpfPath(zip);
+    const opfContent = await zip.file(opfPath).async('string');
+    const parser = new DOMParser();
+    const opfDoc = parser.parseFromString(opfContent, 'application/xml');
+    const opfDir = opfPath.substring(0, opfPath.lastIndexOf('/') + 1);
+    
+    // Get spine items (reading order)
+    const spine = opfDoc.querySelector('spine');
+    const itemrefs = spine ? Array.from(spine.querySelectorAll('itemref')) : [];
+    
+    // Get manifest items
+    const manifest = opfDoc.querySelector('manifest');
+    const items = manifest ? Array.from(manifest.querySelectorAll('item')) : [];
+    
+    // Resolve the spine to full paths of XHTML documents
+    const spinePaths = [];
+    for (const itemref of itemrefs) {
+        const idref = itemref.getAttribute('idref');
+        const item = items.find(i => i.getAttribute('id') === idref);
+        
+        if (item && item.getAttribute('media-type') === 'application/xhtml+xml') {
+            spinePaths.push(resolveEpubPath(opfDir, item.getAttribute('href')));
+        }
+    }
+    
+    return { opfDoc, opfDir, spine, items, spinePaths };
+}
+
+// Run a single chapter detection strategy from EPUB_CHAPTER_STRATEGIES
+async function detectEpubChapters(zip, epubPackage, strategy) {
+    const { opfDir, spine, items, spinePaths } = epubPackage;
+    
+    if (strategy === 'toc') {
+        const toc = await parseEpubToc(zip, spine, items, opfDir);
+        if (toc.length === 0) {
+            return [];
+        }
+        
+        const chapters = await buildChaptersFromToc(zip, toc, spinePaths);
+        if (chapters.length === 0) {
+            console.warn('Table of contents did not match any spine item');
+        }
+        return chapters;
+    }
+    
+    if (strategy === 'spine') {
+        // Build chapters array with just metadata
+        const chapters = [];
+        for (const fullPath of spinePaths) {
+            chapters.push({
+                title: await guessChapterTitle(zip, fullPath, chapters.length + 1),
+                href: fullPath
+            });
+        }
+        return chapters;
+    }
+    
+    throw new Error(`Unknown chapter strategy: ${strategy}`);
+}
+
+// Namespace of opf:role, opf:scheme and friends on EPUB 2 metadata
+const OPF_NS = 'http://www.idpf.org/2007/opf';
+
+// Read creator, language, publisher, date, identifier, description, subjects and series from the OPF
+function parseEpubMetadata(opfDoc) {
+    const metadataElement = opfDoc.getElementsByTagNameNS('*', 'metadata')[0];
+    const metadata = emptyBookMetadata();
+    if (!metadataElement) {
+        return metadata;
+    }
+    
+    const dcElements = (name) => Array.from(metadataElement.getElementsByTagNameNS('*', name));
+    const dcText = (name) => {
+        const element = dcElements(name).find(el => el.textContent.trim());
+        return element ? element.textContent.trim() : '';
+    };
+    const metas = Array.from(metadataElement.getElementsByTagNameNS('*', 'meta'));
+    
+    // EPUB3 attaches roles and series details with <meta refines="#id">
+    const refinement = (id, property) => {
+        if (!id) {
+            return '';
+        }
+        const meta = metas.find(m =>
+            m.getAttribute('refines') === `#${id}` && m.getAttribute('property') === property);
+        return meta ? meta.textContent.trim() : '';
+    };
+    
+    // Authors: creators with no role or the author role
+    const creators = dcElements('creator')
+        .map(el => ({
+            name: el.textContent.trim(),
+            role: el.getAttribute('opf:role') ||
+                el.getAttributeNS(OPF_NS, 'role') ||
+                el.getAttribute('role') ||
+                refinement(el.getAttribute('id'), 'role')
+        }))
+        .filter(creator => creator.name);
+    const authors = creators.filter(creator => !creator.role || creator.role === 'aut');
+    metadata.creators = (authors.length > 0 ? authors : creators).map(creator => creator.name);
+    
+    metadata.language = dcText('language');
+    metadata.publisher = dcText('publisher');
+    metadata.date = dcText('date');
+    metadata.subjects = dcElements('subject')
+        .map(el => el.textContent.trim())
+        .filter(Boolean);
+    
+    // Descriptions are often escaped HTML
+    const description = dcText('description');
+    metadata.description = description
+        ? new DOMParser().parseFromString(description, 'text/html').body.textContent.replace(/\s+/g, ' ').trim()
+        : '';
+    
+    // Prefer an ISBN over UUIDs and other identifiers
+    const identifiers = dcElements('identifier')
+        .map(el => ({
+            value: el.textContent.trim(),
+            scheme: (el.getAttribute('opf:scheme') || el.getAttributeNS(OPF_NS, 'scheme') || '').toLowerCase()
+        }))
+        .filter(identifier => identifier.value);
+    const isbn = identifiers.find(identifier =>
+        identifier.scheme === 'isbn' ||
+        /^urn:isbn:/i.test(identifier.value) ||
+        /^(97[89][- ]?)?\d[\d -]{7,}[\dX]$/i.test(identifier.value));
+    const identifier = isbn || identifiers[0];
+    metadata.identifier = identifier ? identifier.value.replace(/^urn:isbn:/i, '') : '';
+    
+    // Series: calibre's EPUB2 meta tags, then EPUB3 belongs-to-collection
+    const calibreMeta = (name) => {
+        const meta = metas.find(m => m.getAttribute('name') === name);
+        return meta ? (meta.getAttribute('content') || '').trim() : '';
+    };
+    metadata.series = calibreMeta('calibre:series');
+    metadata.seriesIndex = calibreMeta('calibre:series_index');
+    
+    if (!metadata.series) {
+        const collections = metas.filter(m => m.getAttribute('property') === 'belongs-to-collection');
+        const series = collections.find(m =>
+            refinement(m.getAttribute('id'), 'collection-type') === 'series') || collections[0];
+        if (series) {
+            metadata.series = series.textContent.trim();
+            metadata.seriesIndex = refinement(series.getAttribute('id'), 'group-position');
+        }
+    }
+    
+    return metadata;
+}
+
+// Metadata fields shared by EPUB and PDF books
+function emptyBookMetadata() {
+    return {
+        creators: [],
+        language: '',
+        publisher: '',
+        date: '',
+        identifier: '',
+        description: '',
+        subjects: [],
+        series: '',
+        seriesIndex: ''
+    };
+}
+
+// Find the cover image in an EPUB: EPUB3 cover-image, then the EPUB2 <meta name="cover">
+async function findEpubCoverPath(zip) {
+    const opfPath = await findOpfPath(zip);
+    const opfContent = await zip.file(opfPath).async('string');
+    const opfDoc = new DOMParser().parseFromString(opfContent, 'application/xml');
+    const opfDir = opfPath.substring(0, opfPath.lastIndexOf('/') + 1);
+    
+    const items = Array.from(opfDoc.getElementsByTagNameNS('*', 'item'));
+    const isImage = (item) => (item.getAttribute('media-type') || '').startsWith('image/');
+    
+    let coverItem = items.find(item =>
+        (item.getAttribute('properties') || '').split(/\s+/).includes('cover-image'));
+    
+    if (!coverItem) {
+        const coverMeta = Array.from(opfDoc.getElementsByTagNameNS('*', 'meta'))
+            .find(meta => meta.getAttribute('name') === 'cover');
+        const coverId = coverMeta ? coverMeta.getAttribute('content') : null;
+        coverItem = items.find(item => item.getAttribute('id') === coverId && isImage(item));
+    }
+    
+    // Some books only name the file "cover"
+    if (!coverItem) {
+        coverItem = items.find(item =>
+            isImage(item) && /cover/i.test(`${item.getAttribute('id')} ${item.getAttribute('href')}`));
+    }
+    
+    return coverItem ? resolveEpubPath(opfDir, coverItem.getAttribute('href')) : null;
+}
+
+// Guess a chapter title from the chapter file itself (used when there is no usable TOC)
+async function guessChapterTitle(zip, fullPath, chapterNumber) {
+    const parser = new DOMParser();
+    
+    // Try to get chapter title from content
+    try {
+        const content = await zip.file(fullPath).async('string');
+        const contentDoc = parser.parseFromString(content, 'text/html');
+        
+        // Try multiple selectors to find the chapter title
+        let chapterTitle = '';
+        let debugInfo = [];
+        
+        // Method 1: Try heading tags in body first (more compatible approach)
+        const body = contentDoc.querySelector('body') || contentDoc;
+        const bodyHeadings = body.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        if (bodyHeadings.length > 0) {
+            chapterTitle = bodyHeadings[0].textContent.trim();
+            debugInfo.push(`Found body heading: "${chapterTitle}"`);
+        }
+        
+        // Method 2: If no body headings, try any headings (fallback for mobile)
+        if (!chapterTitle) {
+            const allHeadings = contentDoc.querySelectorAll('h1, h2, h3, h4, h5, h6');
+            if (allHeadings.length > 0) {
+                chapterTitle = allHeadings[0].textContent.trim();
+                debugInfo.push(`Found any heading: "${chapterTitle}"`);
+            }
+        }
+        
+        // Method 3: Try simple class-based selectors (mobile-friendly)
+        if (!chapterTitle) {
+            const simpleSelectors = ['h1', 'h2', 'h3'];
+            for (const selector of simpleSelectors) {
+                const elements = contentDoc.getElementsByTagName(selector);
+                if (elements.length > 0) {
+                    chapterTitle = elements[0].textContent.trim();
+                    debugInfo.push(`Found ${selector}: "${chapterTitle}"`);
+                    break;
+                }
+            }
+        }
+        
+        // Method 4: Try elements with common chapter classes (simplified for mobile)
+        if (!chapterTitle) {
+            const commonClasses = ['chapter-title', 'chapter-heading', 'title'];
+            for (const className of commonClasses) {
+                const elements = contentDoc.getElementsByClassName(className);
+                if (elements.length > 0 && elements[0].textContent.trim().length > 0) {
+                    chapterTitle = elements[0].textContent.trim();
+                    debugInfo.push(`Found class ${className}: "${chapterTitle}"`);
+                    break;
+                }
+            }
+        }
+        
+        // Method 5: Try bold elements (getElementsByTagName is more mobile-compatible)
+        if (!chapterTitle) {
+            const boldTags = ['b', 'strong'];
+            for (const tag of boldTags) {
+                const elements = contentDoc.getElementsByTagName(tag);
+                for (let i = 0; i < elements.length; i++) {
+                    const text = elements[i].textContent.trim();
+                    if (text.length > 0 && text.length < 100 && !text.includes(' - ')) {
+                        chapterTitle = text;
+                        debugInfo.push(`Found ${tag}: "${chapterTitle}"`);
+                        break;
+                    }
+                }
+                if (chapterTitle) break;
+            }
+        }
+        
+        // Method 6: Parse filename for chapter info
+        if (!chapterTitle) {
+            const filename = fullPath.split('/').pop().replace(/\.(xhtml|html)$/, '');
+            if (filename.match(/chapter|ch\d+|part/i)) {
+                chapterTitle = filename.replace(/[-_]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+                debugInfo.push(`From filename: "${chapterTitle}"`);
+            }
+        }
+        
+        // Method 7: Title tag as last resort with better filtering
+        if (!chapterTitle) {
+            const titleElements = contentDoc.getElementsByTagName('title');
+            if (titleElements.length > 0) {
+                const titleText = titleElements[0].textContent.trim();
+                // Better filtering for mobile browsers
+                const skipPatterns = [' - ', ' by ', '|', ':', 'author'];
+                const shouldSkip = skipPatterns.some(pattern => 
+                    titleText.toLowerCase().includes(pattern.toLowerCase())
+                );
+                
+                if (!shouldSkip && titleText.length < 100) {
+                    chapterTitle = titleText;
+                    debugInfo.push(`From title tag: "${chapterTitle}"`);
+                }
+            }
+        }
+        
+        // Fallback to generic chapter name
+        if (!chapterTitle || chapterTitle.length === 0) {
+            chapterTitle = `Chapter ${chapterNumber}`;
+            debugInfo.push(`Fallback: "${chapterTitle}"`);
+        }
+        
+        // Clean up title (remove extra whitespace, limit length)
+        chapterTitle = chapterTitle.replace(/\s+/g, ' ').trim();
+        if (chapterTitle.length > 60) {
+            chapterTitle = chapterTitle.substring(0, 57) + '...';
+        }
+        
+        // Log debug info for mobile troubleshooting
+        console.log(`Chapter ${chapterNumber} extraction:`, debugInfo);
+        
+        return chapterTitle;
+    } catch (e) {
+        console.warn('Error processing chapter:', fullPath, e);
+        return `Chapter ${chapterNumber}`;
+    }
+}
+
+// Find OPF file path
+async function findOpfPath(zip) {
+    const containerXml = await zip.file('META-INF/container.xml').async('string');
+    const parser = new DOMParser();
+    const containerDoc = parser.parseFromString(containerXml, 'application/xml');
+    const rootfile = containerDoc.querySelector('rootfile');
+    return rootfile.getAttribute('full-path');
+}
+
+// Resolve an href relative to a directory inside the zip (handles ../ and %20)
+function resolveEpubPath(baseDir, href) {
+    let path = href.split('#')[0];
+    try {
+        path = decodeURIComponent(path);
+    } catch (e) {
+        // Keep the raw href if it is not valid URI encoding
+    }
+
+    const parts = [];
+    for (const segment of (baseDir + path).split('/')) {
+        if (segment === '..') {
+            parts.pop();
+        } else if (segment !== '.' && segment !== '') {
+            parts.push(segment);
+        }
+    }
+    return parts.join('/');
+}
+
+// Get the #fragment of an href, or null if there is none
+function getHrefFragment(href) {
+    const hashIndex = href.indexOf('#');
+    return hashIndex >= 0 && hashIndex < href.length - 1 ? href.substring(hashIndex + 1) : null;
+}
+
+// Read the table of contents tree from the EPUB3 nav document or the EPUB2 NCX
+async function parseEpubToc(zip, spine, items, opfDir) {
+    const navItem = items.find(i =>
+        (i.getAttribute('properties') || '').split(/\s+/).includes('nav')
+    );
+
+    if (navItem) {
+        try {
+            const navPath = resolveEpubPath(opfDir, navItem.getAttribute('href'));
+            const navFile = zip.file(navPath);
+            if (navFile) {
+                const toc = parseNavDocument(await navFile.async('string'), navPath);
+                if (toc.length > 0) {
+                    console.log(`Found EPUB3 nav document with ${toc.length} top-level entries`);
+                    return toc;
+                }
+            }
+        } catch (error) {
+            console.warn('Error reading EPUB3 nav document:', error);
+        }
+    }
+
+    // Fall back to the NCX named by the spine, or any NCX in the manifest
+    const ncxId = spine ? spine.getAttribute('toc') : null;
+    const ncxItem = (ncxId && items.find(i => i.getAttribute('id') === ncxId)) ||
+        items.find(i => i.getAttribute('media-type') === 'application/x-dtbncx+xml');
+
+    if (ncxItem) {
+        try {
+            const ncxPath = resolveEpubPath(opfDir, ncxItem.getAttribute('href'));
+            const ncxFile = zip.file(ncxPath);
+            if (ncxFile) {
+                const toc = parseNcxDocument(await ncxFile.async('string'), ncxPath);
+                if (toc.length > 0) {
+                    console.log(`Found EPUB2 NCX with ${toc.length} top-level entries`);
+                    return toc;
+                }
+            }
+        } catch (error) {
+            console.warn('Error reading NCX table of contents:', error);
+        }
+    }
+
+    return [];
+}
+
+// Parse an EPUB3 nav document into [{ title, href, anchor, children }]
+function parseNavDocument(content, navPath) {
+    const parser = new DOMParser();
+    let doc = parser.parseFromString(content, 'application/xhtml+xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        doc = parser.parseFromString(content, 'text/html');
+    }
+
+    const navDir = navPath.substring(0, navPath.lastIndexOf('/') + 1);
+    const navs = Array.from(doc.getElementsByTagName('nav'));
+    const tocNav = navs.find(nav =>
+        (nav.getAttribute('epub:type') || nav.getAttributeNS('http://www.idpf.org/2007/ops', 'type') || '')
+            .split(/\s+/).includes('toc')
+    ) || navs[0];
+
+    if (!tocNav) {
+        return [];
+    }
+
+    const rootList = Array.from(tocNav.children).find(el => el.localName === 'ol' || el.localName === 'ul');
+
+    const parseList = (list) => {
+        const entries = [];
+        for (const li of Array.from(list.children)) {
+            if (li.localName !== 'li') continue;
+
+            const label = Array.from(li.children).find(el => el.localName === 'a' || el.localName === 'span');
+            const subList = Array.from(li.children).find(el => el.localName === 'ol' || el.localName === 'ul');
+            const children = subList ? parseList(subList) : [];
+
+            // Heading-only entries (<span>) point at their first child
+            const rawHref = label && label.getAttribute('href');
+            const title = label ? label.textContent.replace(/\s+/g, ' ').trim() : '';
+
+            if (rawHref) {
+                entries.push({
+                    title: title,
+                    href: resolveEpubPath(navDir, rawHref),
+                    anchor: getHrefFragment(rawHref),
+                    children: children
+                });
+            } else if (children.length > 0) {
+                entries.push({
+                    title: title || children[0].title,
+                    href: children[0].href,
+                    anchor: children[0].anchor,
+                    children: children
+                });
+            }
+        }
+        return entries;
+    };
+
+    return rootList ? parseList(rootList) : [];
+}
+
+// Parse an EPUB2 NCX document into [{ title, href, anchor, children }]
+function parseNcxDocument(content, ncxPath) {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(content, 'application/xml');
+    const ncxDir = ncxPath.substring(0, ncxPath.lastIndexOf('/') + 1);
+    const navMap = doc.getElementsByTagName('navMap')[0];
+
+    if (!navMap) {
+        return [];
+    }
+
+    const parsePoints = (parent) => {
+        const entries = [];
+        for (const point of Array.from(parent.children)) {
+            if (point.localName !== 'navPoint') continue;
+
+            const label = point.getElementsByTagName('text')[0];
+            const contentEl = Array.from(point.children).find(el => el.localName === 'content');
+            const rawHref = contentEl ? contentEl.getAttribute('src') : null;
+
+            if (!rawHref) continue;
+
+            entries.push({
+                title: label ? label.textContent.replace(/\s+/g, ' ').trim() : '',
+                href: resolveEpubPath(ncxDir, rawHref),
+                anchor: getHrefFragment(rawHref),
+                children: parsePoints(point)
+            });
+        }
+        return entries;
+    };
+
+    return parsePoints(navMap);
+}
+
+// Turn the TOC tree into chapter records, walking the spine so no file is lost.
+// Top-level entries become chapters and their children are kept as sections.
+// Spine files that no top-level entry starts in belong to the chapter before them.
+async function buildChaptersFromToc(zip, toc, spinePaths) {
+    const spineSet = new Set(spinePaths);
+    const startsByFile = new Map();
+    const sectionTitleByFile = new Map();
+
+    const toSections = (entries) => entries.map(entry => ({
+        title: entry.title,
+        href: entry.href,
+        anchor: entry.anchor,
+        sections: toSections(entry.children)
+    }));
+
+    const collectSectionTitles = (entries) => {
+        for (const entry of entries) {
+            if (entry.title && !sectionTitleByFile.has(entry.href)) {
+                sectionTitleByFile.set(entry.href, entry.title);
+            }
+            collectSectionTitles(entry.children);
+        }
+    };
+
+    for (const entry of toc) {
+        if (!spineSet.has(entry.href)) {
+            console.warn('TOC entry points outside the spine:', entry.title, entry.href);
+            continue;
+        }
+        if (!startsByFile.has(entry.href)) {
+            startsByFile.set(entry.href, []);
+        }
+        startsByFile.get(entry.href).push(entry);
+        collectSectionTitles(entry.children);
+    }
+
+    if (startsByFile.size === 0) {
+        return [];
+    }
+
+    const chapters = [];
+    let currentChapter = null;
+
+    for (const fullPath of spinePaths) {
+        const starts = startsByFile.get(fullPath);
+
+        if (starts) {
+            // Text before the first anchor in this file still belongs to the previous chapter
+            if (currentChapter && starts[0].anchor &&
+                await hasTextBeforeAnchor(zip, fullPath, starts[0].anchor)) {
+                chapters.push({
+                    title: `${currentChapter.title} (continued)`,
+                    href: fullPath,
+                    anchor: null,
+                    continued: true,
+                    sections: []
+                });
+            }
+
+            for (const entry of starts) {
+                currentChapter = {
+                    title: entry.title || `Chapter ${chapters.length + 1}`,
+                    href: fullPath,
+                    anchor: entry.anchor,
+                    sections: toSections(entry.children)
+                };
+                chapters.push(currentChapter);
+            }
+        } else if (currentChapter) {
+            // A later file of a chapter that spans several spine items
+            chapters.push({
+                title: sectionTitleByFile.get(fullPath) || `${currentChapter.title} (continued)`,
+                href: fullPath,
+                anchor: null,
+                continued: true,
+                sections: []
+            });
+        } else {
+            // Front matter before the first TOC entry (cover, title page, ...)
+            chapters.push({
+                title: await guessChapterTitle(zip, fullPath, chapters.length + 1),
+                href: fullPath
+            });
+        }
+    }
+
+    // A chapter ends where the next one starts when both live in the same file
+    for (let i = 0; i < chapters.length; i++) {
+        const nextChapter = chapters[i + 1];
+        chapters[i].endAnchor = nextChapter && nextChapter.href === chapters[i].href && nextChapter.anchor
+            ? nextChapter.anchor
+            : null;
+    }
+
+    return chapters;
+}
+
+// Parse a chapter file, preferring XHTML and falling back to HTML
+function parseChapterDocument(content) {
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(content, 'application/xhtml+xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        return parser.parseFromString(content, 'text/html');
+    }
+    return doc;
+}
+
+// Find the element a TOC fragment points at (id, or name on old-style anchors)
+function findAnchorElement(doc, anchor) {
+    if (!anchor) {
+        return null;
+    }
+    const byId = doc.getElementById(anchor);
+    if (byId) {
+        return byId;
+    }
+    const escaped = anchor.replace(/["\\]/g, '\\$&');
+    return doc.querySelector(`[id="${escaped}"], [name="${escaped}"]`);
+}
+
+// Check whether a chapter file has any text before the given anchor
+async function hasTextBeforeAnchor(zip, fullPath, anchor) {
+    try {
+        const doc = parseChapterDocument(await zip.file(fullPath).async('string'));
+        const body = doc.body || doc.querySelector('body') || doc.documentElement;
+        const anchorElement = findAnchorElement(doc, anchor);
+        if (!body || !anchorElement) {
+            return false;
+        }
+
+        const range = doc.createRange();
+        range.setStart(body, 0);
+        range.setEndBefore(anchorElement);
+        return range.toString().trim().length > 0;
+    } catch (error) {
+        console.warn('Error checking text before anchor:', fullPath, anchor, error);
+        return false;
+    }
+}
+
+// Get the file/anchor ranges that make up a chapter
+function getChapterParts(chapter) {
+    if (chapter.parts && chapter.parts.length > 0) {
+        return chapter.parts;
+    }
+    return [{
+        href: chapter.href,
+        anchor: chapter.anchor || null,
+        endAnchor: chapter.endAnchor || null
+    }];
+}
+
+// Fold "continued" spine items into the chapter they belong to
+function mergeSplitChapters(chapters) {
+    const merged = [];
+
+    for (const chapter of chapters) {
+        const previous = merged[merged.length - 1];
+        if (chapter.continued && previous) {
+            previous.parts.push(...getChapterParts(chapter));
+        } else {
+            merged.push({ ...chapter, parts: getChapterParts(chapter).slice() });
+        }
+    }
+
+    return merged;
+}
+
+// Get the chapter list to show and export, honoring the book's merge option
+function getBookChapters(book) {
+    // Chapters edited by hand replace the detected list
+    if (book.editedChapters) {
+        return book.editedChapters.filter(chapter => !chapter.hidden);
+    }
+    
+    const chapters = book.chapters || [];
+    if (book.type !== 'pdf' && book.mergeSplitChapters) {
+        return mergeSplitChapters(chapters);
+    }
+    return chapters;
+}
+
+// A key for where a chapter starts in the book (first file and anchor, or
+// first PDF page). Unlike its index it survives merging, reordering and hiding.
+function getChapterKey(chapter) {
+    if (chapter.startPage !== undefined) {
+        return `page:${chapter.startPage}`;
+    }
+    const part = getChapterParts(chapter)[0];
+    return `${part.href}#${part.anchor || ''}`;
+}
+
+// Whether a chapter holds the start of the chapter a key was taken from,
+// e.g. after it was merged into this one
+function chapterContainsKey(chapter, key) {
+    if (chapter.startPage !== undefined) {
+        const page = parseInt(key.replace(/^page:/, ''), 10);
+        return key.startsWith('page:') && page >= chapter.startPage && page <= chapter.endPage;
+    }
+    return getChapterParts(chapter).some(part => `${part.href}#${part.anchor || ''}` === key);
+}
+
+// Find the current index of a chapter saved with { chapterKey, chapterTitle, chapterIndex }.
+// Falls back to the title, and for records saved without a key to the old index.
+// Returns -1 when the chapter is hidden or no longer in the book.
+function findChapterIndex(chapters, saved) {
+    if (saved.chapterKey) {
+        const keyIndex = chapters.findIndex(chapter => getChapterKey(chapter) === saved.chapterKey);
+        if (keyIndex !== -1) {
+            return keyIndex;
+        }
+        const containingIndex = chapters.findIndex(chapter => chapterContainsKey(chapter, saved.chapterKey));
+        if (containingIndex !== -1) {
+            return containingIndex;
+        }
+    }
+    
+    const titleIndex = chapters.findIndex(chapter => chapter.title === saved.chapterTitle);
+    if (titleIndex !== -1) {
+        return titleIndex;
+    }
+    return !saved.chapterKey && chapters[saved.chapterIndex] ? saved.chapterIndex : -1;
+}
+
+// Limit a chapter's root element to the DOM range between its start and end anchors
+function extractChapterRange(doc, rootElement, chapter) {
+    if (!chapter.anchor && !chapter.endAnchor) {
+        return rootElement;
+    }
+
+    const startElement = findAnchorElement(doc, chapter.anchor);
+    const endElement = findAnchorElement(doc, chapter.endAnchor);
+
+    if (chapter.anchor && !startElement) {
+        console.warn('Start anchor not found, using start of file:', chapter.anchor);
+    }
+    if (chapter.endAnchor && !endElement) {
+        console.warn('End anchor not found, using end of file:', chapter.endAnchor);
+    }
+
+    const range = doc.createRange();
+    if (startElement && rootElement.contains(startElement)) {
+        range.setStartBefore(startElement);
+    } else {
+        range.setStart(rootElement, 0);
+    }
+    if (endElement && rootElement.contains(endElement)) {
+        range.setEndBefore(endElement);
+    } else {
+        range.setEnd(rootElement, rootElement.childNodes.length);
+    }
+
+    const container = doc.createElement('div');
+    container.appendChild(range.cloneContents());
+    return container;
+}
+
+// Render books list
+function renderBooksList(books, positions = new Map(), covers = new Map(), groupOf = null) {
+    booksList.innerHTML = '';
+    
+    // Release the object URLs of the previous render's covers
+    bookCoverUrls.forEach(url => URL.revokeObjectURL(url));
+    bookCoverUrls = [];
+    
+    let currentGroup = null;
+    books.forEach(book => {
+        // Books arrive sorted by group, so start a heading whenever it changes
+        if (groupOf && groupOf(book) !== currentGroup) {
+            currentGroup = groupOf(book);
+            const header = document.createElement('li');
+            header.className = 'book-group-header';
+            header.textContent = currentGroup;
+            booksList.appendChild(header);
+        }
+        
+        const li = document.createElement('li');
+        li.className = 'book-item';
+        li.dataset.bookId = book.id;
+        
+        // Add book type indicator and additional info
+        const bookType = book.type || 'epub';
+        const typeIndicator = bookType.toUpperCase();
+        const additionalInfo = book.numPages ? ` (${book.numPages} pages)` : '';
+        
+        // Offer to pick up where the reader left off
+        const position = positions.get(book.id);
+        const continueButton = position
+            ? `<button class="btn btn-small btn-primary" onclick="continueReading('${book.id}')">Continue reading</button>`
+            : '';
+        const progressInfo = position
+            ? `<span class="book-progress">Last read: ${escapeHtml(position.chapterTitle)}</span>`
+            : '';
+        
+        // Cover thumbnail, or a plain placeholder with the book type
+        const cover = covers.get(book.id);
+        let coverHtml = `<div class="book-cover placeholder ${bookType}">${typeIndicator}</div>`;
+        if (cover) {
+            const coverUrl = URL.createObjectURL(cover);
+            bookCoverUrls.push(coverUrl);
+            coverHtml = `<img class="book-cover" src="${coverUrl}" alt="" loading="lazy">`;
+        }
+        
+        li.innerHTML = `
+            ${coverHtml}
+            <div class="book-info">
+                <span class="book-title">${escapeHtml(book.title)}</span>
+                ${renderBookAuthors(book.metadata)}
+                ${renderBookLabels(book)}
+                <span class="book-meta">
+                    <span class="book-type ${bookType}">${typeIndicator}</span>
+                    ${additionalInfo}
+                    ${renderBookFacts(book.metadata)}
+                </span>
+                ${renderBookDetails(book.metadata)}
+                ${progressInfo}
+            </div>
+            <div class="book-actions-list">
+                ${continueButton}
+                <button class="btn btn-small" onclick="viewBook('${book.id}')">View Chapters</button>
+                <button class="btn btn-small btn-secondary" onclick="toggleBookOrganizer('${book.id}')">Tags & Collections</button>
+                <button class="btn btn-small btn-danger" onclick="deleteBook('${book.id}')">Delete</button>
+            </div>
+        `;
+        booksList.appendChild(li);
+    });
+}
+
+// Library sorting, filtering and grouping
+let libraryBooks = [];
+let libraryPositions = new Map();
+let libraryCovers = new Map();
+let libraryView = loadLibraryView();
+
+function loadLibraryView() {
+    const defaults = { sort: 'title', type: 'all', tag: '', collection: '', text: '', group: 'none', layout: 'list' };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem('libraryView') || '{}'), text: '' };
+    } catch (error) {
+        return defaults;
+    }
+}
+
+function saveLibraryView() {
+    const { text, ...view } = libraryView;
+    localStorage.setItem('libraryView', JSON.stringify(view));
+}
+
+// Tags a book can be filtered by: the user's own plus the subjects from its metadata
+function getBookTags(book) {
+    const subjects = book.metadata ? book.metadata.subjects : [];
+    return [...new Set((book.tags || []).concat(subjects))];
+}
+
+function getBookAuthor(book) {
+    return book.metadata && book.metadata.creators.length > 0 ? book.metadata.creators[0] : '';
+}
+
+// When the book was last read, as an ISO date ('' if never)
+function getBookLastOpened(book) {
+    const position = libraryPositions.get(book.id);
+    return position ? position.updatedAt : '';
+}
+
+const libraryCollator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+const LIBRARY_SORTS = {
+    title: (a, b) => libraryCollator.compare(a.title, b.title),
+    author: (a, b) => libraryCollator.compare(getBookAuthor(a) || '\uffff', getBookAuthor(b) || '\uffff'),
+    uploadDate: (a, b) => (b.uploadDate || '').localeCompare(a.uploadDate || ''),
+    fileSize: (a, b) => (b.fileSize || 0) - (a.fileSize || 0),
+    lastOpened: (a, b) => getBookLastOpened(b).localeCompare(getBookLastOpened(a))
+};
+
+const LIBRARY_GROUPS = {
+    author: book => getBookAuthor(book) || 'Unknown author',
+    series: book => (book.metadata && book.metadata.series) || 'Not in a series',
+    type: book => (book.type || 'epub').toUpperCase()
+};
+
+// Apply the current sort, filters and grouping to the stored books
+function renderLibrary() {
+    const text = libraryView.text.trim().toLowerCase();
+    const collection = getSelectedCollection();
+    const books = libraryBooks.filter(book => {
+        if (collection && !collection.bookIds.includes(book.id)) {
+            return false;
+        }
+        if (libraryView.type !== 'all' && (book.type || 'epub') !== libraryView.type) {
+            return false;
+        }
+        if (libraryView.tag && !getBookTags(book).includes(libraryView.tag)) {
+            return false;
+        }
+        if (text) {
+            const haystack = `${book.title} ${book.metadata ? book.metadata.creators.join(' ') : ''}`;
+            return haystack.toLowerCase().includes(text);
+        }
+        return true;
+    });
+    
+    const sort = LIBRARY_SORTS[libraryView.sort] || LIBRARY_SORTS.title;
+    const groupOf = LIBRARY_GROUPS[libraryView.group] || null;
+    books.sort((a, b) => {
+        if (groupOf) {
+            const groupOrder = libraryCollator.compare(groupOf(a), groupOf(b));
+            if (groupOrder !== 0) {
+                return groupOrder;
+            }
+            
+            // Keep series in reading order
+            if (libraryView.group === 'series' && a.metadata && b.metadata) {
+                const indexOrder = (parseFloat(a.metadata.seriesIndex) || 0) - (parseFloat(b.metadata.seriesIndex) || 0);
+                if (indexOrder !== 0) {
+                    return indexOrder;
+                }
+            }
+        }
+        return sort(a, b);
+    });
+    
+    booksList.classList.toggle('grid', libraryView.layout === 'grid');
+    layoutToggleBtn.textContent = libraryView.layout === 'grid' ? 'List view' : 'Grid view';
+    
+    renderBooksList(books, libraryPositions, libraryCovers, groupOf);
+    
+    if (books.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'book-item';
+        li.textContent = 'No books match the current filters';
+        booksList.appendChild(li);
+    }
+}
+
+// Fill the tag filter from the tags in the library
+function renderTagFilter() {
+    const tags = [...new Set(libraryBooks.flatMap(getBookTags))].sort(libraryCollator.compare);
+    if (libraryView.tag && !tags.includes(libraryView.tag)) {
+        libraryView.tag = '';
+    }
+    
+    filterTagSelect.innerHTML = '<option value="">All tags</option>' +
+        tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+    filterTagSelect.value = libraryView.tag;
+    filterTagSelect.style.display = tags.length > 0 ? 'inline-block' : 'none';
+}
+
+// Show the saved view settings in the controls
+function initLibraryControls() {
+    sortBooksSelect.value = libraryView.sort;
+    filterTypeSelect.value = libraryView.type;
+    groupBooksSelect.value = libraryView.group;
+    
+    const update = (key, value) => {
+        libraryView[key] = value;
+        saveLibraryView();
+        renderLibrary();
+    };
+    
+    sortBooksSelect.addEventListener('change', () => update('sort', sortBooksSelect.value));
+    filterTypeSelect.addEventListener('change', () => update('type', filterTypeSelect.value));
+    filterTagSelect.addEventListener('change', () => update('tag', filterTagSelect.value));
+    filterCollectionSelect.addEventListener('change', () => {
+        collectionActions.style.display = filterCollectionSelect.value ? 'flex' : 'none';
+        update('collection', filterCollectionSelect.value);
+    });
+    newCollectionBtn.addEventListener('click', handleNewCollection);
+    renameCollectionBtn.addEventListener('click', renameSelectedCollection);
+    deleteCollectionBtn.addEventListener('click', deleteSelectedCollection);
+    exportCollectionBtn.addEventListener('click', exportSelectedCollection);
+    groupBooksSelect.addEventListener('change', () => update('group', groupBooksSelect.value));
+    filterTextInput.addEventListener('input', () => update('text', filterTextInput.value));
+    layoutToggleBtn.addEventListener('click', () =>
+        update('layout', libraryView.layout === 'grid' ? 'list' : 'grid'));
+}
+
+// Tags and collections
+let libraryCollections = [];
+
+function parseTags(text) {
+    return [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+// The user's tags and any collections the book is in, shown under the title
+function renderBookLabels(book) {
+    const tags = (book.tags || [])
+        .map(tag => `<span class="book-tag">${escapeHtml(tag)}</span>`);
+    const collections = libraryCollections
+        .filter(collection => collection.bookIds.includes(book.id))
+        .map(collection => `<span class="book-tag collection">${escapeHtml(collection.name)}</span>`);
+    
+    const labels = tags.concat(collections);
+    return labels.length > 0 ? `<span class="book-labels">${labels.join('')}</span>` : '';
+}
+
+// Show or hide the tag and collection editor under a book
+function toggleBookOrganizer(bookId) {
+    const li = booksList.querySelector(`.book-item[data-book-id="${bookId}"]`);
+    const book = libraryBooks.find(item => item.id === bookId);
+    if (!li || !book) {
+        return;
+    }
+    
+    const openPanel = li.querySelector('.book-organizer');
+    if (openPanel) {
+        openPanel.remove();
+        return;
+    }
+    
+    const panel = document.createElement('div');
+    panel.className = 'book-organizer';
+    panel.innerHTML = `
+        <label class="organizer-field">
+            Tags
+            <input type="text" class="organizer-tags" placeholder="Comma-separated tags">
+        </label>
+        <div class="organizer-field">
+            Collections
+            <div class="organizer-collections">
+                ${libraryCollections.map(collection => `
+                    <label class="chapter-option">
+                        <input type="checkbox" value="${collection.id}" ${collection.bookIds.includes(bookId) ? 'checked' : ''} />
+                        ${escapeHtml(collection.name)}
+                    </label>
+                `).join('')}
+            </div>
+            <input type="text" class="organizer-new-collection" placeholder="Add to a new collection...">
+        </div>
+        <div class="book-actions-list">
+            <button class="btn btn-small btn-primary organizer-save">Save</button>
+            <button class="btn btn-small btn-secondary organizer-cancel">Cancel</button>
+        </div>
+    `;
+    panel.querySelector('.organizer-tags').value = (book.tags || []).join(', ');
+    panel.querySelector('.organizer-save').addEventListener('click', () => saveBookOrganization(book, panel));
+    panel.querySelector('.organizer-cancel').addEventListener('click', () => panel.remove());
+    li.appendChild(panel);
+}
+
+async function saveBookOrganization(book, panel) {
+    const checked = new Set(Array.from(panel.querySelectorAll('.organizer-collections input:checked'))
+        .map(input => input.value));
+    const newCollectionName = panel.querySelector('.organizer-new-collection').value.trim();
+    
+    try {
+        book.tags = parseTags(panel.querySelector('.organizer-tags').value);
+        await epubDB.updateBook(book);
+        
+        // Only write collections whose membership changed
+        for (const collection of libraryCollections) {
+            const isMember = collection.bookIds.includes(book.id);
+            if (checked.has(collection.id) !== isMember) {
+                collection.bookIds = isMember
+                    ? collection.bookIds.filter(id => id !== book.id)
+                    : collection.bookIds.concat(book.id);
+                await epubDB.putCollection(collection);
+            }
+        }
+        
+        if (newCollectionName) {
+            await createCollection(newCollectionName, [book.id]);
+        }
+        
+        await loadBooks();
+    } catch (error) {
+        console.error('Error saving tags and collections:', error);
+        alert('Error saving tags and collections');
+    }
+}
+
+async function createCollection(name, bookIds = []) {
+    const existing = libraryCollections.find(collection =>
+        collection.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+        existing.bookIds = [...new Set(existing.bookIds.concat(bookIds))];
+        await epubDB.putCollection(existing);
+        return existing;
+    }
+    
+    const collection = {
+        id: Date.now().toString(),
+        name: name,
+        bookIds: bookIds,
+        createdAt: new Date().toISOString()
+    };
+    await epubDB.putCollection(collection);
+    libraryCollections.push(collection);
+    return collection;
+}
+
+async function handleNewCollection() {
+    const name = prompt('Name for the new collection:', '');
+    if (!name || !name.trim()) {
+        return;
+    }
+    
+    try {
+        const collection = await createCollection(name.trim());
+        libraryView.collection = collection.id;
+        saveLibraryView();
+        await loadBooks();
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        alert('Error creating collection');
+    }
+}
+
+function getSelectedCollection() {
+    return libraryCollections.find(collection => collection.id === libraryView.collection) || null;
+}
+
+async function renameSelectedCollection() {
+    const collection = getSelectedCollection();
+    if (!collection) {
+        return;
+    }
+    
+    const name = prompt('Rename collection:', collection.name);
+    if (!name || !name.trim()) {
+        return;
+    }
+    
+    try {
+        collection.name = name.trim();
+        await epubDB.putCollection(collection);
+        await loadBooks();
+    } catch (error) {
+        console.error('Error renaming collection:', error);
+        alert('Error renaming collection');
+    }
+}
+
+async function deleteSelectedCollection() {
+    const collection = getSelectedCollection();
+    if (!collection || !confirm(`Delete the collection "${collection.name}"? The books themselves are kept.`)) {
+        return;
+    }
+    
+    try {
+        await epubDB.deleteCollection(collection.id);
+        libraryView.collection = '';
+        saveLibraryView();
+        await loadBooks();
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        alert('Error deleting collection');
+    }
+}
+
+// Fill the collection filter and show actions for the selected collection
+function renderCollectionFilter() {
+    libraryCollections.sort((a, b) => libraryCollator.compare(a.name, b.name));
+    if (libraryView.collection && !getSelectedCollection()) {
+        libraryView.collection = '';
+    }
+    
+    filterCollectionSelect.innerHTML = '<option value="">All books</option>' +
+        libraryCollections.map(collection =>
+            `<option value="${collection.id}">${escapeHtml(collection.name)} (${collection.bookIds.length})</option>`
+        ).join('');
+    filterCollectionSelect.value = libraryView.collection;
+    collectionActions.style.display = libraryView.collection ? 'flex' : 'none';
+}
+
+// Export every book in the selected collection into one zip
+async function exportSelectedCollection() {
+    const collection = getSelectedCollection();
+    if (!collection) {
+        return;
+    }
+    
+    const books = collection.bookIds
+        .map(id => libraryBooks.find(book => book.id === id))
+        .filter(Boolean);
+    if (books.length === 0) {
+        alert('This collection has no books');
+        return;
+    }
+    
+    const format = collectionExportFormat.value;
+    const extensions = { txt: 'txt', md: 'md', html: 'html' };
+    const label = exportCollectionBtn.textContent;
+    exportCollectionBtn.disabled = true;
+    
+    try {
+        const collectionZip = new JSZip();
+        const usedNames = new Set();
+        
+        for (let i = 0; i < books.length; i++) {
+            const book = books[i];
+            const progressLabel = `Exporting ${i + 1} / ${books.length}...`;
+            exportCollectionBtn.textContent = progressLabel;
+            
+            // Scanned pages are recognized here, where the reader's OCR status is not shown
+            const onOcrProgress = (pageNum, progress) => {
+                exportCollectionBtn.textContent = progress === null
+                    ? progressLabel
+                    : `Exporting ${i + 1} / ${books.length}: recognizing page ${pageNum}... ${Math.round(progress * 100)}%`;
+            };
+            
+            let content;
+            let extension;
+            if (format === 'original') {
+                content = await epubDB.getEpubFile(book.id);
+                extension = book.type === 'pdf' ? 'pdf' : 'epub';
+            } else {
+                const source = await loadBookSource(book);
+                content = format === 'html'
+                    ? await HtmlExporter.buildHtml(book, source, getBookChapters(book), { onOcrProgress })
+                    : await buildFullBookText(book, source, format, { includeToc: true, onOcrProgress });
+                extension = extensions[format];
+            }
+            
+            // Books with the same title still get separate files
+            let fileName = `${toFileName(book.title)}.${extension}`;
+            for (let n = 2; usedNames.has(fileName); n++) {
+                fileName = `${toFileName(book.title)}_${n}.${extension}`;
+            }
+            usedNames.add(fileName);
+            collectionZip.file(fileName, content);
+        }
+        
+        const zipBlob = await collectionZip.generateAsync({ type: 'blob' });
+        saveFile(zipBlob, `${toFileName(collection.name)}.zip`, 'application/zip');
+    } catch (error) {
+        console.error('Error exporting collection:', error);
+        alert('Error exporting collection');
+    } finally {
+        exportCollectionBtn.disabled = false;
+        exportCollectionBtn.textContent = label;
+    }
+}
+
+function renderBookAuthors(metadata) {
+    if (!metadata || metadata.creators.length === 0) {
+        return '';
+    }
+    return `<span class="book-authors">by ${escapeHtml(metadata.creators.join(', '))}</span>`;
+}
+
+// Short facts shown on the meta line: series, language, publisher, year
+function renderBookFacts(metadata) {
+    if (!metadata) {
+        return '';
+    }
+    
+    const facts = [];
+    if (metadata.series) {
+        facts.push(metadata.seriesIndex
+            ? `${metadata.series} #${metadata.seriesIndex.replace(/\.0+$/, '')}`
+            : metadata.series);
+    }
+    if (metadata.language) {
+        facts.push(metadata.language);
+    }
+    if (metadata.publisher) {
+        facts.push(metadata.publisher);
+    }
+    if (metadata.date) {
+        facts.push(metadata.date.substring(0, 4));
+    }
+    
+    return facts.map(fact => `<span class="book-fact">${escapeHtml(fact)}</span>`).join('');
+}
+
+// Longer metadata folded away under "Details"
+function renderBookDetails(metadata) {
+    if (!metadata || (!metadata.description && !metadata.identifier && metadata.subjects.length === 0)) {
+        return '';
+    }
+    
+    const rows = [];
+    if (metadata.description) {
+        rows.push(`<p class="book-description">${escapeHtml(metadata.description)}</p>`);
+    }
+    if (metadata.subjects.length > 0) {
+        rows.push(`<p><strong>Subjects:</strong> ${escapeHtml(metadata.subjects.join(', '))}</p>`);
+    }
+    if (metadata.date) {
+        rows.push(`<p><strong>Date:</strong> ${escapeHtml(metadata.date)}</p>`);
+    }
+    if (metadata.identifier) {
+        rows.push(`<p><strong>Identifier:</strong> ${escapeHtml(metadata.identifier)}</p>`);
+    }
+    
+    return `<details class="book-details"><summary>Details</summary>${rows.join('')}</details>`;
+}
+
+// Read metadata for books stored before it was saved at upload
+async function backfillBookMetadata() {
+    try {
+        const books = await epubDB.getAllBooks();
+        let updated = 0;
+        
+        for (const book of books.filter(book => !book.metadata)) {
+            try {
+                const source = await loadBookSource(book);
+                if (book.type === 'epub') {
+                    const opfPath = await findOpfPath(source.zip);
+                    const opfContent = await source.zip.file(opfPath).async('string');
+                    book.metadata = parseEpubMetadata(new DOMParser().parseFromString(opfContent, 'application/xml'));
+                } else {
+                    book.metadata = await PDFParser.readMetadata(source.arrayBuffer);
+                }
+            } catch (error) {
+                // Store empty metadata so the book isn't retried on every start
+                console.warn(`Could not read metadata for ${book.title}:`, error);
+                book.metadata = emptyBookMetadata();
+            }
+            
+            await epubDB.updateBook(book);
+            updated++;
+        }
+        
+        // Only refresh the list if it is on screen
+        if (updated > 0 && booksSection.style.display !== 'none') {
+            await loadBooks();
+        }
+    } catch (error) {
+        console.error('Error reading book metadata:', error);
+    }
+}
+
+// Make a small cover image for the books list
+async function createCoverThumbnail(book) {
+    const source = await loadBookSource(book);
+    
+    if (book.type === 'pdf') {
+        return PDFParser.renderCoverThumbnail(source.arrayBuffer, COVER_THUMBNAIL_WIDTH);
+    }
+    
+    const coverPath = await findEpubCoverPath(source.zip);
+    const coverFile = coverPath ? source.zip.file(coverPath) : null;
+    if (!coverFile) {
+        return null;
+    }
+    
+    const imageBlob = new Blob([await coverFile.async('uint8array')], { type: guessMediaType(coverPath) });
+    return scaleImageBlob(imageBlob, COVER_THUMBNAIL_WIDTH);
+}
+
+// Downscale an image blob to the given width as a JPEG
+async function scaleImageBlob(blob, width) {
+    const url = URL.createObjectURL(blob);
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not decode cover image'));
+            img.src = url;
+        });
+        
+        const scale = Math.min(1, width / image.naturalWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.naturalWidth * scale);
+        canvas.height = Math.round(image.naturalHeight * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Create and cache a book's cover thumbnail. A missing cover is stored
+// as null so the book isn't tried again.
+async function storeBookCover(book) {
+    let blob = null;
+    try {
+        blob = await createCoverThumbnail(book);
+    } catch (error) {
+        console.warn(`Could not create cover for ${book.title}:`, error);
+    }
+    
+    try {
+        await epubDB.putCover({ bookId: book.id, blob: blob });
+    } catch (error) {
+        console.error('Error saving cover:', error);
+    }
+}
+
+// Make covers for books stored before thumbnails existed
+async function generateMissingCovers() {
+    try {
+        const books = await epubDB.getAllBooks();
+        const covers = await epubDB.getAllCovers();
+        const hasCover = new Set(covers.map(cover => cover.bookId));
+        const missing = books.filter(book => !hasCover.has(book.id));
+        
+        for (const book of missing) {
+            await storeBookCover(book);
+        }
+        
+        // Only refresh the list if it is on screen
+        if (missing.length > 0 && booksSection.style.display !== 'none') {
+            await loadBooks();
+        }
+    } catch (error) {
+        console.error('Error generating covers:', error);
+    }
+}
+
+// View book chapters
+async function viewBook(bookId) {
+    try {
+        const book = await epubDB.getBook(bookId);
+        
+        if (!book) {
+            alert('Book not found');
+            return;
+        }
+        
+        currentBook = book;
+        showChaptersSection(book);
+    } catch (error) {
+        console.error('Error loading book:', error);
+        alert('Error loading book');
+    }
+}
+
+// Delete book
+async function deleteBook(bookId) {
+    if (!confirm('Are you sure you want to delete this book?')) {
+        return;
+    }
+    
+    try {
+        await epubDB.deleteBook(bookId);
+        await loadBooks();
+        
+        // Drop results for the deleted book
+        if (searchInput.value.trim()) {
+            await runLibrarySearch();
+        }
+        
+        // Check if any books remain
+        const remainingBooks = await epubDB.getAllBooks();
+        if (remainingBooks.length === 0) {
+            hideAllSections();
+            uploadSection.style.display = 'block';
+        }
+    } catch (error) {
+        console.error('Error deleting book:', error);
+        alert('Error deleting book');
+    }
+}
+
+// Library search
+let searchIndexQueue = Promise.resolve();
+let searchIndexPending = 0;
+let searchDebounceTimer = null;
+
+// Maximum number of results listed for one query
+const SEARCH_RESULT_LIMIT = 100;
+
+// Characters of context shown on each side of a match
+const SEARCH_SNIPPET_CONTEXT = 60;
+
+// Build and store the plain-text search index for one book
+async function buildSearchIndex(book) {
+    const source = await loadBookSource(book);
+    const chapters = getBookChapters(book);
+    const entries = [];
+    
+    for (let i = 0; i < chapters.length; i++) {
+        try {
+            // Indexing only uses pages already recognized; OCR runs when a page is read
+            const text = await renderChapterForExport(book, source, chapters[i], 'txt', { ocrCachedOnly: true });
+            entries.push({
+                index: i,
+                title: chapters[i].title,
+                text: text.replace(/\s+/g, ' ').trim()
+            });
+        } catch (error) {
+            console.warn(`Could not index chapter ${i} of ${book.title}:`, error);
+        }
+    }
+    
+    await epubDB.putSearchIndex({
+        bookId: book.id,
+        version: SEARCH_INDEX_VERSION,
+        chapters: entries
+    });
+    console.log(`Indexed ${entries.length} chapters of ${book.title}`);
+}
+
+// Index books one at a time in the background
+function queueSearchIndexing(book) {
+    searchIndexPending++;
+    updateSearchStatus();
+    
+    searchIndexQueue = searchIndexQueue
+        .then(() => buildSearchIndex(book))
+        .catch(error => console.error(`Error indexing ${book.title}:`, error))
+        .then(() => {
+            searchIndexPending--;
+            updateSearchStatus();
+            
+            // Pick up matches from the book that was just indexed
+            if (searchInput.value.trim()) {
+                runLibrarySearch();
+            }
+        });
+    
+    return searchIndexQueue;
+}
+
+// Queue books that have no index yet or an outdated one
+async function indexMissingBooks() {
+    try {
+        const books = await epubDB.getAllBooks();
+        const indexes = await epubDB.getAllSearchIndexes();
+        const upToDate = new Set(indexes
+            .filter(entry => entry.version === SEARCH_INDEX_VERSION)
+            .map(entry => entry.bookId));
+        
+        books
+            .filter(book => !upToDate.has(book.id))
+            .forEach(book => queueSearchIndexing(book));
+    } catch (error) {
+        console.error('Error checking search index:', error);
+    }
+}
+
+// Build a regex for a query; whitespace in the query matches any whitespace run
+function buildSearchPattern(query, options = {}) {
+    const words = query.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return null;
+    }
+    
+    let source = words
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('\\s+');
+    if (options.wholeWord) {
+        source = `(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`;
+    }
+    
+    return new RegExp(source, options.caseSensitive ? 'gu' : 'giu');
+}
+
+// Find every match of the query in the index
+async function searchLibrary(query) {
+    const pattern = buildSearchPattern(query);
+    if (!pattern) {
+        return { results: [], truncated: false };
+    }
+    
+    const books = await epubDB.getAllBooks();
+    const indexes = await epubDB.getAllSearchIndexes();
+    const indexByBook = new Map(indexes.map(entry => [entry.bookId, entry]));
+    const results = [];
+    
+    for (const book of books) {
+        const entry = indexByBook.get(book.id);
+        if (!entry) {
+            continue;
+        }
+        
+        for (const chapter of entry.chapters) {
+            pattern.lastIndex = 0;
+            let matchIndex = 0;
+            let match;
+            while ((match = pattern.exec(chapter.text)) !== null) {
+                if (results.length >= SEARCH_RESULT_LIMIT) {
+                    return { results, truncated: true };
+                }
+                
+                results.push({
+                    bookId: book.id,
+                    bookTitle: book.title,
+                    chapterIndex: chapter.index,
+                    chapterTitle: chapter.title,
+                    matchIndex: matchIndex++,
+                    text: chapter.text,
+                    start: match.index,
+                    end: match.index + match[0].length
+                });
+            }
+        }
+    }
+    
+    return { results, truncated: false };
+}
+
+// Run the query in the search box and show the results
+async function runLibrarySearch() {
+    const query = searchInput.value.trim();
+    if (!query) {
+        searchResults.innerHTML = '';
+        updateSearchStatus();
+        return;
+    }
+    
+    try {
+        const { results, truncated } = await searchLibrary(query);
+        
+        // Ignore stale results if the query changed while searching
+        if (searchInput.value.trim() !== query) {
+            return;
+        }
+        
+        renderSearchResults(results, query);
+        updateSearchStatus(results.length, truncated);
+    } catch (error) {
+        console.error('Error searching library:', error);
+    }
+}
+
+function renderSearchResults(results, query) {
+    searchResults.innerHTML = '';
+    results.forEach(result => {
+        const snippetStart = Math.max(0, result.start - SEARCH_SNIPPET_CONTEXT);
+        const snippetEnd = Math.min(result.text.length, result.end + SEARCH_SNIPPET_CONTEXT);
+        const before = (snippetStart > 0 ? '…' : '') + result.text.slice(snippetStart, result.start);
+        const after = result.text.slice(result.end, snippetEnd) + (snippetEnd < result.text.length ? '…' : '');
+        
+        const li = document.createElement('li');
+        li.className = 'search-result';
+        li.innerHTML = `
+            <span class="search-result-source">${escapeHtml(result.bookTitle)} › ${escapeHtml(result.chapterTitle)}</span>
+            <span class="search-result-snippet">${escapeHtml(before)}<mark>${escapeHtml(result.text.slice(result.start, result.end))}</mark>${escapeHtml(after)}</span>
+        `;
+        li.addEventListener('click', () => {
+            openSearchResult(result.bookId, result.chapterIndex, query, result.matchIndex);
+        });
+        searchResults.appendChild(li);
+    });
+}
+
+function updateSearchStatus(resultCount = null, truncated = false) {
+    const parts = [];
+    if (resultCount !== null) {
+        parts.push(resultCount === 0
+            ? 'No matches'
+            : `${resultCount}${truncated ? '+' : ''} match${resultCount === 1 ? '' : 'es'}`);
+    }
+    if (searchIndexPending > 0) {
+        parts.push(`Indexing ${searchIndexPending} book${searchIndexPending === 1 ? '' : 's'}…`);
+    }
+    
+    searchStatus.textContent = parts.join(' · ');
+}
+
+function handleSearchInput() {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(runLibrarySearch, 250);
+}
+
+// Open a chapter and scroll to the given match of the query
+async function openSearchResult(bookId, chapterIndex, query, matchIndex) {
+    await viewChapter(bookId, chapterIndex);
+    if (currentBook?.id !== bookId || currentChapterIndex !== chapterIndex) {
+        return;
+    }
+    
+    // The reader may render a few extra characters, so fall back to the last match
+    const matches = findTextMatches(chapterContent, query);
+    if (matches.length === 0) {
+        return;
+    }
+    
+    const marks = highlightTextMatch(matches[Math.min(matchIndex, matches.length - 1)]);
+    if (marks.length > 0) {
+        marks[0].scrollIntoView({ block: 'center' });
+    }
+}
+
+// Find query matches in the text under a container element.
+// Returns one array of { node, start, end } segments per match.
+function findTextMatches(container, query, options = {}) {
+    const pattern = buildSearchPattern(query, options);
+    if (!pattern) {
+        return [];
+    }
+    
+    // Join the text nodes, separating nodes in different blocks with a space
+    const segments = [];
+    let text = '';
+    let lastBlock = null;
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        let block = node.parentElement;
+        while (block && block !== container && !TEXT_BLOCK_ELEMENTS.has(block.localName)) {
+            block = block.parentElement;
+        }
+        
+        if (text && block !== lastBlock) {
+            text += ' ';
+        }
+        lastBlock = block;
+        
+        segments.push({ node, start: text.length });
+        text += node.data;
+    }
+    
+    const matches = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const matchStart = match.index;
+        const matchEnd = match.index + match[0].length;
+        const pieces = [];
+        
+        segments.forEach(segment => {
+            const segmentEnd = segment.start + segment.node.data.length;
+            if (segmentEnd <= matchStart || segment.start >= matchEnd) {
+                return;
+            }
+            pieces.push({
+                node: segment.node,
+                start: Math.max(matchStart, segment.start) - segment.start,
+                end: Math.min(matchEnd, segmentEnd) - segment.start
+            });
+        });
+        
+        if (pieces.length > 0) {
+            matches.push(pieces);
+        }
+    }
+    
+    return matches;
+}
+
+// Wrap one match from findTextMatches in <mark> elements
+function highlightTextMatch(pieces, className = 'search-hit') {
+    const marks = [];
+    
+    // Work backwards so splitting a node doesn't shift earlier offsets
+    for (let i = pieces.length - 1; i >= 0; i--) {
+        const { node, start, end } = pieces[i];
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        
+        const mark = document.createElement('mark');
+        mark.className = className;
+        range.surroundContents(mark);
+        marks.unshift(mark);
+    }
+    
+    return marks;
+}
+
+// Show chapters section
+function showChaptersSection(book) {
+    hideAllSections();
+    closeChapterEditor();
+    closeRedetectPanel();
+    chaptersSection.style.display = 'block';
+    bookTitle.textContent = book.title;
+    
+    chaptersList.innerHTML = '';
+    
+    // Only offer merging when the book has chapters split across files
+    // (a hand-edited chapter list already has its own merges)
+    const hasSplitChapters = !book.editedChapters &&
+        (book.chapters || []).some(chapter => chapter.continued);
+    mergeSplitChaptersOption.style.display = hasSplitChapters ? 'block' : 'none';
+    mergeSplitChaptersCheckbox.checked = !!book.mergeSplitChapters;
+    
+    const chapters = getBookChapters(book);
+    exportEpubBtn.style.display = book.type === 'epub' && chapters.length > 0 ? 'inline-block' : 'none';
+    editPagesBtn.style.display = book.type === 'pdf' ? 'inline-block' : 'none';
+    
+    // Text layout settings only apply to PDFs
+    pdfTextOptions.style.display = book.type === 'pdf' ? 'block' : 'none';
+    pdfColumnsSelect.value = book.pdfColumns || 'auto';
+    pdfStripHeadersCheckbox.checked = book.pdfStripHeaders !== false;
+    pdfPageMarkersCheckbox.checked = book.pdfPageMarkers !== false;
+    pdfOcrCheckbox.checked = book.pdfOcr !== false;
+    
+    // Continue reading is shown once a saved position turns up
+    continueReadingBtn.style.display = 'none';
+    epubDB.getReadingPosition(book.id).then(position => {
+        if (position && currentBook && currentBook.id === book.id) {
+            continueReadingBtn.textContent = `Continue reading: ${position.chapterTitle}`;
+            continueReadingBtn.style.display = 'inline-block';
+        }
+    }).catch(error => console.error('Error loading reading position:', error));
+    
+    if (chapters.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'chapter-item';
+        li.innerHTML = '<span class="chapter-title">No chapters found</span>';
+        chaptersList.appendChild(li);
+        return;
+    }
+    
+    chapters.forEach((chapter, index) => {
+        const li = document.createElement('li');
+        li.className = 'chapter-item';
+        
+        // Ensure chapter title is displayed properly
+        const chapterTitle = chapter.title || `Chapter ${index + 1}`;
+        
+        // EPUB chapters can be picked for an excerpt export
+        const selectBox = book.type === 'epub'
+            ? `<input type="checkbox" class="chapter-select" data-index="${index}" aria-label="Select chapter" />`
+            : '';
+        
+        li.innerHTML = `
+            <label class="chapter-label">
+                ${selectBox}
+                <span class="chapter-title">${escapeHtml(chapterTitle)}</span>
+            </label>
+            <button class="btn btn-small" onclick="viewChapter('${book.id}', ${index})">View & Download</button>
+        `;
+
+        // Show TOC sub-sections under the chapter they belong to
+        if (chapter.sections && chapter.sections.length > 0) {
+            li.appendChild(renderChapterSections(chapter.sections));
+        }
+
+        chaptersList.appendChild(li);
+    });
+}
+
+// Export the checked chapters as a new EPUB
+async function exportSelectedChaptersAsEpub() {
+    if (!currentBook) {
+        alert('No book selected');
+        return;
+    }
+    
+    const chapters = getBookChapters(currentBook);
+    const selected = Array.from(chaptersList.querySelectorAll('.chapter-select:checked'))
+        .map(checkbox => chapters[parseInt(checkbox.dataset.index, 10)])
+        .filter(chapter => chapter);
+    
+    if (selected.length === 0) {
+        alert('Please select at least one chapter to export');
+        return;
+    }
+    
+    exportEpubBtn.disabled = true;
+    exportEpubBtn.textContent = 'Building EPUB...';
+    
+    try {
+        const source = await loadBookSource(currentBook);
+        const epubBlob = await EpubExporter.buildExcerpt(source.zip, currentBook, selected);
+        saveFile(epubBlob, `${toFileName(currentBook.title)}_excerpt.epub`, 'application/epub+zip');
+    } catch (error) {
+        console.error('Error exporting EPUB excerpt:', error);
+        alert('Error exporting selected chapters as EPUB');
+    } finally {
+        exportEpubBtn.disabled = false;
+        exportEpubBtn.textContent = 'Export Selected as EPUB';
+    }
+}
+
+// Render nested TOC sections as an indented list
+function renderChapterSections(sections) {
+    const ul = document.createElement('ul');
+    ul.className = 'chapter-sections';
+
+    sections.forEach(section => {
+        const li = document.createElement('li');
+        li.textContent = section.title;
+        if (section.sections && section.sections.length > 0) {
+            li.appendChild(renderChapterSections(section.sections));
+        }
+        ul.appendChild(li);
+    });
+
+    return ul;
+}
+
+// Chapter and book details editor
+let chapterEditorChapters = [];
+
+// Metadata fields the editor can change, with their labels
+const BOOK_DETAIL_FIELDS = [
+    ['creators', 'Authors (separated by ;)'],
+    ['series', 'Series'],
+    ['seriesIndex', 'Number in series'],
+    ['language', 'Language'],
+    ['publisher', 'Publisher'],
+    ['date', 'Date'],
+    ['identifier', 'Identifier (ISBN)'],
+    ['subjects', 'Subjects (separated by ;)'],
+    ['description', 'Description']
+];
+
+// Names like "Tolkien, J. R. R." contain commas, so list fields split on ";" or new lines
+function parseMetadataList(text) {
+    return [...new Set(text.split(/[;\n]/).map(item => item.trim()).filter(Boolean))];
+}
+
+function openChapterEditor() {
+    if (!currentBook) {
+        return;
+    }
+    closeRedetectPanel();
+    
+    // Edit a copy of the list the reader currently sees, hidden chapters included
+    chapterEditorChapters = (currentBook.editedChapters || getBookChapters(currentBook))
+        .map(chapter => ({ ...chapter }));
+    
+    const metadata = currentBook.metadata || emptyBookMetadata();
+    bookDetailsForm.innerHTML = `
+        <label class="organizer-field">
+            Title
+            <input type="text" data-field="title">
+        </label>
+        ${BOOK_DETAIL_FIELDS.map(([field, label]) => `
+            <label class="organizer-field">
+                ${label}
+                ${field === 'description'
+                    ? `<textarea data-field="${field}" rows="3"></textarea>`
+                    : `<input type="text" data-field="${field}">`}
+            </label>
+        `).join('')}
+    `;
+    bookDetailsForm.querySelector('[data-field="title"]').value = currentBook.title;
+    BOOK_DETAIL_FIELDS.forEach(([field]) => {
+        const value = metadata[field];
+        bookDetailsForm.querySelector(`[data-field="${field}"]`).value =
+            Array.isArray(value) ? value.join('; ') : (value || '');
+    });
+    
+    resetChaptersBtn.style.display = currentBook.editedChapters ? 'inline-block' : 'none';
+    chaptersList.style.display = 'none';
+    chapterEditor.style.display = 'block';
+    renderChapterEditor();
+}
+
+function closeChapterEditor() {
+    chapterEditor.style.display = 'none';
+    chaptersList.style.display = 'block';
+    chapterEditorChapters = [];
+}
+
+function renderChapterEditor() {
+    chapterEditorList.innerHTML = '';
+    
+    chapterEditorChapters.forEach((chapter, index) => {
+        const li = document.createElement('li');
+        li.className = 'chapter-editor-item' + (chapter.hidden ? ' hidden-chapter' : '');
+        
+        const pages = chapter.startPage
+            ? `<span class="chapter-editor-pages">pp. ${chapter.startPage}–${chapter.endPage}</span>`
+            : '';
+        const isLast = index === chapterEditorChapters.length - 1;
+        
+        li.innerHTML = `
+            <input type="text" class="chapter-editor-title" aria-label="Chapter title">
+            ${pages}
+            <div class="book-actions-list">
+                <button class="btn btn-small btn-secondary" data-action="up" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                <button class="btn btn-small btn-secondary" data-action="down" ${isLast ? 'disabled' : ''} title="Move down">↓</button>
+                <button class="btn btn-small btn-secondary" data-action="merge" ${isLast ? 'disabled' : ''}>Merge with next</button>
+                <label class="chapter-option">
+                    <input type="checkbox" data-action="hide" ${chapter.hidden ? 'checked' : ''} /> Hide
+                </label>
+            </div>
+        `;
+        
+        const titleInput = li.querySelector('.chapter-editor-title');
+        titleInput.value = chapter.title;
+        titleInput.addEventListener('input', () => {
+            chapter.title = titleInput.value;
+        });
+        
+        li.querySelector('[data-action="up"]').addEventListener('click', () => moveEditorChapter(index, -1));
+        li.querySelector('[data-action="down"]').addEventListener('click', () => moveEditorChapter(index, 1));
+        li.querySelector('[data-action="merge"]').addEventListener('click', () => mergeEditorChapterWithNext(index));
+        li.querySelector('[data-action="hide"]').addEventListener('change', (event) => {
+            chapter.hidden = event.target.checked;
+            li.classList.toggle('hidden-chapter', chapter.hidden);
+        });
+        
+        chapterEditorList.appendChild(li);
+    });
+}
+
+function moveEditorChapter(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= chapterEditorChapters.length) {
+        return;
+    }
+    
+    const [chapter] = chapterEditorChapters.splice(index, 1);
+    chapterEditorChapters.splice(target, 0, chapter);
+    renderChapterEditor();
+}
+
+// Combine a chapter with the one after it, keeping the first title
+function mergeEditorChapterWithNext(index) {
+    const first = chapterEditorChapters[index];
+    const second = chapterEditorChapters[index + 1];
+    if (!second) {
+        return;
+    }
+    
+    let merged;
+    if (currentBook.type === 'pdf') {
+        // A PDF chapter is one page range, so the pages must meet
+        const touching = Math.max(first.startPage, second.startPage) <=
+            Math.min(first.endPage, second.endPage) + 1;
+        if (!touching) {
+            alert(`"${first.title}" and "${second.title}" are not on neighbouring pages, so they cannot be merged.`);
+            return;
+        }
+        
+        merged = {
+            ...first,
+            startPage: Math.min(first.startPage, second.startPage),
+            endPage: Math.max(first.endPage, second.endPage)
+        };
+    } else {
+        const parts = getChapterParts(first).concat(getChapterParts(second));
+        merged = {
+            ...first,
+            parts: parts,
+            endAnchor: parts[parts.length - 1].endAnchor,
+            sections: (first.sections || []).concat(second.sections || [])
+        };
+    }
+    delete merged.continued;
+    
+    chapterEditorChapters.splice(index, 2, merged);
+    renderChapterEditor();
+}
+
+async function saveChapterEdits() {
+    const titleValue = bookDetailsForm.querySelector('[data-field="title"]').value.trim();
+    if (!titleValue) {
+        alert('The book needs a title');
+        return;
+    }
+    
+    // Empty chapter titles fall back to their position
+    chapterEditorChapters.forEach((chapter, index) => {
+        chapter.title = chapter.title.trim() || `Chapter ${index + 1}`;
+    });
+    
+    const metadata = { ...(currentBook.metadata || emptyBookMetadata()) };
+    BOOK_DETAIL_FIELDS.forEach(([field]) => {
+        const value = bookDetailsForm.querySelector(`[data-field="${field}"]`).value.trim();
+        metadata[field] = Array.isArray(metadata[field]) ? parseMetadataList(value) : value;
+    });
+    
+    currentBook.title = titleValue;
+    currentBook.metadata = metadata;
+    currentBook.editedChapters = chapterEditorChapters;
+    
+    try {
+        await epubDB.updateBook(currentBook);
+    } catch (error) {
+        console.error('Error saving chapter edits:', error);
+        alert('Error saving changes');
+        return;
+    }
+    
+    // Search results point at chapter positions, which may have changed
+    queueSearchIndexing(currentBook);
+    
+    closeChapterEditor();
+    showChaptersSection(currentBook);
+}
+
+// Drop the edited chapter list and go back to the detected one
+async function resetChapterEdits() {
+    if (!confirm('Discard your chapter edits and use the automatically detected chapters?')) {
+        return;
+    }
+    
+    delete currentBook.editedChapters;
+    
+    try {
+        await epubDB.updateBook(currentBook);
+    } catch (error) {
+        console.error('Error resetting chapter edits:', error);
+        alert('Error saving changes');
+        return;
+    }
+    
+    queueSearchIndexing(currentBook);
+    closeChapterEditor();
+    showChaptersSection(currentBook);
+}
+
+// PDF chapter boundary editor
+let pageEditorPdf = null;
+let pageEditorChapters = [];
+let pageEditorObserver = null;
+let pageEditorQueue = [];
+let pageEditorRendering = false;
+let pageEditorUrls = [];
+
+// Width in pixels of page previews in the boundary editor
+const PAGE_THUMBNAIL_WIDTH = 120;
+
+async function openPdfPageEditor() {
+    if (!currentBook || currentBook.type !== 'pdf') {
+        return;
+    }
+    
+    editPagesBtn.disabled = true;
+    try {
+        const source = await loadBookSource(currentBook);
+        pageEditorPdf = await pdfjsLib.getDocument({ data: source.arrayBuffer }).promise;
+    } catch (error) {
+        console.error('Error opening PDF for page editing:', error);
+        alert('Error opening PDF');
+        return;
+    } finally {
+        editPagesBtn.disabled = false;
+    }
+    
+    // Edit the full list, hidden chapters included, so their pages stay theirs
+    pageEditorChapters = (currentBook.editedChapters || currentBook.chapters || [])
+        .map(chapter => ({ ...chapter }))
+        .sort((a, b) => a.startPage - b.startPage);
+    
+    hideAllSections();
+    pdfPagesSection.style.display = 'block';
+    pdfPagesTitle.textContent = `Chapter pages: ${currentBook.title}`;
+    
+    renderPageEditorChapters();
+    renderPageGrid();
+}
+
+function closePdfPageEditor() {
+    if (pageEditorObserver) {
+        pageEditorObserver.disconnect();
+        pageEditorObserver = null;
+    }
+    pageEditorQueue = [];
+    pageEditorUrls.forEach(url => URL.revokeObjectURL(url));
+    pageEditorUrls = [];
+    pdfPageGrid.innerHTML = '';
+    
+    if (pageEditorPdf) {
+        pageEditorPdf.destroy();
+        pageEditorPdf = null;
+    }
+}
+
+// Chapter list with editable titles and page ranges
+function renderPageEditorChapters() {
+    pageChapterList.innerHTML = '';
+    
+    pageEditorChapters.forEach((chapter, index) => {
+        const li = document.createElement('li');
+        li.className = 'chapter-editor-item' + (chapter.hidden ? ' hidden-chapter' : '');
+        li.title = chapter.hidden ? 'Hidden chapter' : '';
+        li.innerHTML = `
+            <input type="text" class="chapter-editor-title" aria-label="Chapter title">
+            <label class="chapter-editor-pages">
+                Pages <input type="number" class="page-number" data-field="startPage" min="1" max="${pageEditorPdf.numPages}">
+                – <input type="number" class="page-number" data-field="endPage" min="1" max="${pageEditorPdf.numPages}">
+            </label>
+            <button class="btn btn-small btn-danger" title="Remove chapter">Remove</button>
+        `;
+        
+        const titleInput = li.querySelector('.chapter-editor-title');
+        titleInput.value = chapter.title;
+        titleInput.addEventListener('input', () => {
+            chapter.title = titleInput.value;
+            updatePageGridLabels();
+        });
+        
+        li.querySelectorAll('.page-number').forEach(input => {
+            input.value = chapter[input.dataset.field];
+            input.addEventListener('change', () => {
+                chapter[input.dataset.field] = parseInt(input.value, 10) || 1;
+                updatePageGridLabels();
+            });
+        });
+        
+        li.querySelector('.btn-danger').addEventListener('click', () => {
+            pageEditorChapters.splice(index, 1);
+            renderPageEditorChapters();
+            updatePageGridLabels();
+        });
+        
+        pageChapterList.appendChild(li);
+    });
+}
+
+function renderPageGrid() {
+    pdfPageGrid.innerHTML = '';
+    
+    for (let pageNumber = 1; pageNumber <= pageEditorPdf.numPages; pageNumber++) {
+        const tile = document.createElement('div');
+        tile.className = 'page-tile';
+        tile.dataset.page = pageNumber;
+        tile.innerHTML = `
+            <div class="page-thumbnail"></div>
+            <span class="page-label">Page ${pageNumber}</span>
+            <span class="page-chapter"></span>
+            <button class="btn btn-small btn-secondary"></button>
+        `;
+        tile.querySelector('button').addEventListener('click', () => togglePageChapterStart(pageNumber));
+        pdfPageGrid.appendChild(tile);
+    }
+    
+    updatePageGridLabels();
+    
+    // Draw previews as they scroll into view, or all of them without IntersectionObserver
+    const tiles = Array.from(pdfPageGrid.children);
+    if (typeof IntersectionObserver !== 'undefined') {
+        pageEditorObserver = new IntersectionObserver(entries => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                pageEditorObserver.unobserve(entry.target);
+                queuePageThumbnail(entry.target);
+            });
+        }, { rootMargin: '200px' });
+        tiles.forEach(tile => pageEditorObserver.observe(tile));
+    } else {
+        tiles.forEach(queuePageThumbnail);
+    }
+}
+
+// Render thumbnails one at a time so large PDFs don't stall the page
+function queuePageThumbnail(tile) {
+    pageEditorQueue.push(tile);
+    if (!pageEditorRendering) {
+        renderQueuedThumbnails();
+    }
+}
+
+async function renderQueuedThumbnails() {
+    pageEditorRendering = true;
+    
+    while (pageEditorQueue.length > 0 && pageEditorPdf) {
+        const tile = pageEditorQueue.shift();
+        const pdf = pageEditorPdf;
+        try {
+            const blob = await PDFParser.renderPageThumbnail(pdf, parseInt(tile.dataset.page, 10), PAGE_THUMBNAIL_WIDTH);
+            
+            // The editor may have closed while the page was drawing
+            if (blob && pdf === pageEditorPdf) {
+                const url = URL.createObjectURL(blob);
+                pageEditorUrls.push(url);
+                tile.querySelector('.page-thumbnail').innerHTML = `<img src="${url}" alt="">`;
+            }
+        } catch (error) {
+            console.warn(`Could not render page ${tile.dataset.page}:`, error);
+        }
+    }
+    
+    pageEditorRendering = false;
+}
+
+// The chapter whose range includes a page, or null
+function findPageChapter(pageNumber) {
+    return pageEditorChapters.find(chapter =>
+        pageNumber >= chapter.startPage && pageNumber <= chapter.endPage) || null;
+}
+
+// Show which chapter each page belongs to and where chapters start
+function updatePageGridLabels() {
+    Array.from(pdfPageGrid.children).forEach(tile => {
+        const pageNumber = parseInt(tile.dataset.page, 10);
+        const chapter = findPageChapter(pageNumber);
+        const isStart = !!chapter && chapter.startPage === pageNumber;
+        
+        tile.classList.toggle('chapter-start', isStart);
+        tile.classList.toggle('unassigned', !chapter);
+        tile.querySelector('.page-chapter').textContent = chapter
+            ? (isStart ? chapter.title : '')
+            : 'Not in a chapter';
+        tile.querySelector('button').textContent = isStart ? 'Remove start' : 'Start chapter here';
+    });
+}
+
+// Split the chapter at a page, or undo a split by joining with the chapter before
+function togglePageChapterStart(pageNumber) {
+    const chapter = findPageChapter(pageNumber);
+    
+    if (chapter && chapter.startPage === pageNumber) {
+        const index = pageEditorChapters.indexOf(chapter);
+        const previous = pageEditorChapters[index - 1];
+        if (previous && previous.endPage === pageNumber - 1) {
+            previous.endPage = chapter.endPage;
+        }
+        pageEditorChapters.splice(index, 1);
+    } else if (chapter) {
+        pageEditorChapters.splice(pageEditorChapters.indexOf(chapter) + 1, 0, {
+            title: `Page ${pageNumber}`,
+            startPage: pageNumber,
+            endPage: chapter.endPage
+        });
+        chapter.endPage = pageNumber - 1;
+    } else {
+        // A page outside every chapter starts one that runs up to the next chapter
+        const next = pageEditorChapters.find(item => item.startPage > pageNumber);
+        pageEditorChapters.push({
+            title: `Page ${pageNumber}`,
+            startPage: pageNumber,
+            endPage: next ? next.startPage - 1 : pageEditorPdf.numPages
+        });
+        pageEditorChapters.sort((a, b) => a.startPage - b.startPage);
+    }
+    
+    renderPageEditorChapters();
+    updatePageGridLabels();
+}
+
+async function savePdfPageChapters() {
+    const numPages = pageEditorPdf.numPages;
+    const chapters = pageEditorChapters
+        .map((chapter, index) => ({
+            ...chapter,
+            title: chapter.title.trim() || `Chapter ${index + 1}`,
+            type: chapter.type || 'pdf-chapter'
+        }))
+        .sort((a, b) => a.startPage - b.startPage);
+    
+    if (chapters.length === 0) {
+        alert('Add at least one chapter');
+        return;
+    }
+    
+    for (let i = 0; i < chapters.length; i++) {
+        const chapter = chapters[i];
+        if (chapter.startPage < 1 || chapter.endPage > numPages || chapter.startPage > chapter.endPage) {
+            alert(`"${chapter.title}" has an invalid page range (${chapter.startPage}–${chapter.endPage})`);
+            return;
+        }
+        if (i > 0 && chapter.startPage <= chapters[i - 1].endPage) {
+            alert(`"${chapter.title}" overlaps "${chapters[i - 1].title}"`);
+            return;
+        }
+    }
+    
+    currentBook.editedChapters = chapters;
+    
+    try {
+        await epubDB.updateBook(currentBook);
+    } catch (error) {
+        console.error('Error saving chapter pages:', error);
+        alert('Error saving changes');
+        return;
+    }
+    
+    // Search results point at chapter positions, which just changed
+    queueSearchIndexing(currentBook);
+    
+    closePdfPageEditor();
+    showChaptersSection(currentBook);
+}
+
+// Re-detect chapters with a chosen strategy
+let redetectSource = null;
+let redetectPreview = null;
+
+async function openRedetectPanel() {
+    if (!currentBook) {
+        return;
+    }
+    
+    redetectChaptersBtn.disabled = true;
+    releaseRedetectSource();
+    let strategies;
+    try {
+        const source = await loadBookSource(currentBook);
+        if (currentBook.type === 'pdf') {
+            const pdf = await pdfjsLib.getDocument({ data: source.arrayBuffer }).promise;
+            redetectSource = { pdf };
+            strategies = await PDFParser.getApplicableStrategies(pdf);
+        } else {
+            const epubPackage = await loadEpubPackage(source.zip);
+            redetectSource = { zip: source.zip, epubPackage };
+            
+            // The TOC strategy only applies when the book has a nav or NCX
+            const toc = await parseEpubToc(source.zip, epubPackage.spine, epubPackage.items, epubPackage.opfDir);
+            strategies = EPUB_CHAPTER_STRATEGIES.filter(strategy => strategy.id !== 'toc' || toc.length > 0);
+        }
+    } catch (error) {
+        console.error('Error opening book for chapter detection:', error);
+        alert('Error opening book');
+        closeRedetectPanel();
+        return;
+    } finally {
+        redetectChaptersBtn.disabled = false;
+    }
+    
+    closeChapterEditor();
+    chaptersList.style.display = 'none';
+    redetectPanel.style.display = 'block';
+    redetectPreviewTitle.textContent = '';
+    redetectPreviewList.innerHTML = '';
+    applyRedetectBtn.style.display = 'none';
+    
+    strategyList.innerHTML = '';
+    strategies.forEach(strategy => {
+        const li = document.createElement('li');
+        li.className = 'chapter-item';
+        const current = currentBook.chapterStrategy === strategy.id ? ' (current)' : '';
+        li.innerHTML = `
+            <span class="chapter-title">${escapeHtml(strategy.label)}${current}</span>
+            <button class="btn btn-small">Preview</button>
+        `;
+        li.querySelector('button').addEventListener('click', (event) => previewChapterStrategy(strategy, event.target));
+        strategyList.appendChild(li);
+    });
+}
+
+// Free the PDF opened for detection; opening the panel again loads a new one
+function releaseRedetectSource() {
+    if (redetectSource && redetectSource.pdf) {
+        redetectSource.pdf.destroy();
+    }
+    redetectSource = null;
+}
+
+function closeRedetectPanel() {
+    releaseRedetectSource();
+    redetectPreview = null;
+    redetectPanel.style.display = 'none';
+    chaptersList.style.display = 'block';
+}
+
+// Run one strategy and list the chapters it finds
+async function previewChapterStrategy(strategy, button) {
+    const buttons = Array.from(strategyList.querySelectorAll('button'));
+    buttons.forEach(btn => { btn.disabled = true; });
+    button.textContent = 'Detecting...';
+    
+    try {
+        const chapters = redetectSource.pdf
+            ? await PDFParser.detectChapters(redetectSource.pdf, redetectSource.pdf.numPages, strategy.id)
+            : await detectEpubChapters(redetectSource.zip, redetectSource.epubPackage, strategy.id);
+        
+        redetectPreview = { strategy: strategy.id, chapters };
+        redetectPreviewTitle.textContent = `${strategy.label}: ${chapters.length} chapter${chapters.length === 1 ? '' : 's'}`;
+        redetectPreviewList.innerHTML = '';
+        chapters.forEach(chapter => {
+            const li = document.createElement('li');
+            const pages = chapter.startPage ? ` (pp. ${chapter.startPage}–${chapter.endPage})` : '';
+            li.textContent = `${chapter.title}${pages}`;
+            redetectPreviewList.appendChild(li);
+        });
+        applyRedetectBtn.style.display = chapters.length > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('Error detecting chapters:', error);
+        alert('Error detecting chapters');
+    } finally {
+        buttons.forEach(btn => { btn.disabled = false; });
+        button.textContent = 'Preview';
+    }
+}
+
+// Replace the stored chapters with the previewed ones
+async function applyRedetectedChapters() {
+    if (!redetectPreview) {
+        return;
+    }
+    if (currentBook.editedChapters &&
+        !confirm('This replaces the chapters you edited by hand. Continue?')) {
+        return;
+    }
+    
+    currentBook.chapters = redetectPreview.chapters;
+    currentBook.chapterStrategy = redetectPreview.strategy;
+    delete currentBook.editedChapters;
+    
+    try {
+        await epubDB.updateBook(currentBook);
+    } catch (error) {
+        console.error('Error saving detected chapters:', error);
+        alert('Error saving chapters');
+        return;
+    }
+    
+    // Search results point at chapter positions, which just changed
+    queueSearchIndexing(currentBook);
+    
+    closeRedetectPanel();
+    showChaptersSection(currentBook);
+}
+
+// Save a PDF text extraction setting on the book
+async function updatePdfTextOption(key, value) {
+    if (!currentBook) {
+        return;
+    }
+    
+    currentBook[key] = value;
+    
+    try {
+        await epubDB.updateBook(currentBook);
+    } catch (error) {
+        console.error('Error saving PDF text option:', error);
+    }
+    
+    // Indexed text was extracted with the old setting
+    queueSearchIndexing(currentBook);
+}
+
+// Switch between one entry per file and merged multi-file chapters
+async function toggleMergeSplitChapters() {
+    if (!currentBook) {
+        return;
+    }
+    
+    currentBook.mergeSplitChapters = mergeSplitChaptersCheckbox.checked;
+    
+    try {
+        await epubDB.updateBook(currentBook);
+    } catch (error) {
+        console.error('Error saving chapter merge option:', error);
+    }
+
+    // Search results point at chapter positions, which just changed
+    queueSearchIndexing(currentBook);
+
+    showChaptersSection(currentBook);
+}
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// View chapter content
+async function viewChapter(bookId, chapterIndex, options = {}) {
+    // Show loading state immediately
+    const chapterButtons = document.querySelectorAll('.chapter-item button');
+    const clickedButton = chapterButtons[chapterIndex];
+    if (clickedButton) {
+        clickedButton.disabled = true;
+        clickedButton.textContent = 'Loading...';
+    }
+    
+    try {
+        const book = await epubDB.getBook(bookId);
+        
+        if (!book) {
+            alert('Book not found');
+            return;
+        }
+        
+        const chapter = getBookChapters(book)[chapterIndex];
+        if (!chapter) {
+            alert('Chapter not found');
+            return;
+        }
+        
+        currentBook = book;
+        currentChapterIndex = chapterIndex;
+        
+        // Load file and extract chapter content
+        const fileBlob = await epubDB.getEpubFile(bookId);
+        if (!fileBlob) {
+            alert('File not found');
+            return;
+        }
+        
+        const arrayBuffer = await fileBlob.arrayBuffer();
+        
+        // Determine book type if not set (for backward compatibility)
+        if (!book.type) {
+            if (book.fileName) {
+                if (book.fileName.toLowerCase().endsWith('.epub')) {
+                    book.type = 'epub';
+                } else if (book.fileName.toLowerCase().endsWith('.pdf')) {
+                    book.type = 'pdf';
+                }
+            }
+            console.warn('Book type was undefined, inferred as:', book.type);
+        }
+        
+        console.log('File loaded, size:', arrayBuffer.byteLength, 'Type:', book.type);
+        
+        if (arrayBuffer.byteLength === 0) {
+            throw new Error('File data is empty');
+        }
+        
+        let textContent = ''; // Initialize to empty string instead of undefined
+        
+        // Release the previous chapter's formatted view and its image URLs
+        currentChapterBlobUrls.forEach(url => URL.revokeObjectURL(url));
+        currentChapterBlobUrls = [];
+        currentChapterFormatted = null;
+        
+        if (book.type === 'epub') {
+            console.log('Processing EPUB chapter...');
+            try {
+                // Handle EPUB
+                const zip = await JSZip.loadAsync(arrayBuffer);
+                
+                const partTexts = [];
+                for (const part of getChapterParts(chapter)) {
+                    partTexts.push(await extractEpubPartText(zip, part, chapter));
+                }
+                textContent = joinTextBlocks(partTexts);
+                
+                // Formatted reader view from the chapter's own markup
+                try {
+                    currentChapterFormatted = await renderFormattedChapter(zip, chapter, currentChapterBlobUrls);
+                } catch (formatError) {
+                    console.warn('Error rendering formatted chapter:', formatError);
+                }
+            } catch (epubError) {
+                console.error('Error processing EPUB chapter:', epubError);
+                textContent = `Error processing EPUB: ${epubError.message}`;
+            }
+            
+        } else if (book.type === 'pdf') {
+            // Handle PDF
+            textContent = await PDFParser.extractTextFromPDFRange(
+                arrayBuffer, 
+                chapter.startPage, 
+                chapter.endPage,
+                getPdfTextOptions(book)
+            );
+        } else {
+            console.error('Unknown book type:', book.type);
+            textContent = 'Error: Unknown book type';
+        }
+        
+        // Ensure we're setting the content properly
+        console.log('=== FINAL CONTENT CHECK ===');
+        console.log('Book type:', book.type);
+        console.log('textContent type:', typeof textContent);
+        console.log('textContent value:', textContent);
+        console.log('textContent length:', textContent ? textContent.length : 'null/undefined');
+        
+        if (textContent && textContent.length > 0) {
+            currentChapterContent = textContent;
+            console.log('SUCCESS: Set currentChapterContent, length:', currentChapterContent.length);
+            console.log('First 200 chars:', currentChapterContent.substring(0, 200));
+        } else {
+            console.error('ERROR: textContent is empty or undefined');
+            console.error('Setting error message as content');
+            currentChapterContent = 'Error: No content could be extracted from this chapter. Check console for debug info.';
+        }
+        
+        // Saved highlights for this chapter are drawn when the content is shown
+        currentChapterAnnotations = await loadChapterAnnotations(book, chapterIndex);
+        
+        // Show content
+        hideAllSections();
+        contentSection.style.display = 'block';
+        chapterTitle.textContent = chapter.title;
+        
+        // Make sure the content element exists and update it
+        if (chapterContent) {
+            showChapterContent();
+            console.log('Updated DOM element with content, element text length:', chapterContent.textContent.length);
+            
+            // Double-check the element was updated
+            if (chapterContent.textContent.length === 0) {
+                console.error('WARNING: DOM element text is empty after update!');
+                chapterContent.innerHTML = `<pre>${currentChapterContent}</pre>`;
+            }
+        } else {
+            console.error('ERROR: chapterContent DOM element not found!');
+        }
+        
+        // Restore the saved scroll position (or start at the top) and remember this chapter
+        updateChapterNavigation();
+        setChapterScrollRatio(options.scrollRatio || 0);
+        saveReadingPosition();
+        
+        // Images load after the text so reading can start right away
+        loadChapterImages(book, chapter, chapterIndex);
+        
+    } catch (error) {
+        console.error('Error loading chapter:', error);
+        alert('Error loading chapter content');
+    } finally {
+        // Reset button state
+        if (clickedButton) {
+            clickedButton.disabled = false;
+            clickedButton.textContent = 'View & Download';
+        }
+    }
+}
+
+// Load one part of an EPUB chapter: its raw content, parsed document and anchor-limited root
+async function loadEpubPart(zip, part) {
+    // Check if the chapter file exists in the zip
+    const chapterFile = zip.file(part.href);
+    if (!chapterFile) {
+        console.error('Chapter file not found in EPUB:', part.href);
+        return null;
+    }
+    
+    const content = await chapterFile.async('string');
+    const doc = parseChapterDocument(content);
+    
+    // Get the body element, or fall back to the document element
+    const rootElement = doc.body || doc.querySelector('body') || doc.documentElement;
+    if (!rootElement) {
+        console.error('No root element found in chapter HTML:', part.href);
+        return null;
+    }
+    
+    // Keep only the part of the file between this chapter's anchors
+    return { content, doc, rootElement: extractChapterRange(doc, rootElement, part) };
+}
+
+// Extract the plain text of one part (file and anchor range) of an EPUB chapter
+async function extractEpubPartText(zip, part, chapter) {
+    const loaded = await loadEpubPart(zip, part);
+    if (!loaded) {
+        return '[Error: Could not extract text from chapter]';
+    }
+    const { content, rootElement } = loaded;
+    
+    let textContent = extractTextFromHtml(rootElement);
+    
+    // Last resort for files the DOM parser could not make sense of
+    if (!textContent && !part.anchor && !part.endAnchor) {
+        console.warn('No text extracted for chapter, stripping tags from raw content:', chapter.title);
+        textContent = content
+            .replace(/<!--[\s\S]*?-->/g, '') // Remove comments
+            .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
+            .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '') // Remove styles
+            .replace(/<[^>]+>/g, ' ') // Remove all tags
+            .replace(/&nbsp;/g, ' ') // Replace nbsp
+            .replace(/\s+/g, ' ') // Normalize whitespace
+            .trim();
+    }
+    
+    console.log('EPUB text extraction - Chapter:', chapter.title, 'File:', part.href, 'Text length:', textContent.length);
+    return textContent;
+}
+
+// Elements that start a new block of text
+const TEXT_BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Elements whose content is never part of the text
+const TEXT_SKIP_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template']);
+
+// Extract text from HTML, keeping paragraphs, headings, lists, quotes and tables
+function extractTextFromHtml(element) {
+    if (!element) {
+        console.error('extractTextFromHtml: element is null or undefined');
+        return '';
+    }
+    
+    const text = renderTextBlocks(element)
+        .join('\n\n')
+        .replace(/\r\n/g, '\n') // Normalize line endings
+        .replace(/\n{3,}/g, '\n\n') // Reduce multiple line breaks to double
+        .trim();
+    
+    console.log('Extracted text length:', text.length);
+    return text;
+}
+
+// The English word list from vendor/wordlist, used to tell a word broken at a
+// line end ("infor-mation") from a hyphenated compound ("self-evident")
+let dehyphenationWords = null;
+
+function getDehyphenationWords() {
+    if (!dehyphenationWords) {
+        dehyphenationWords = new Set(typeof ENGLISH_WORD_LIST === 'string' ? ENGLISH_WORD_LIST.split(' ') : []);
+        if (dehyphenationWords.size === 0) {
+            console.warn('English word list not loaded, keeping line-end hyphens unless the book confirms a word');
+        }
+    }
+    return dehyphenationWords;
+}
+
+// Prefixes that keep their hyphen before a whole word ("anti-war", not "antiwar")
+const HYPHEN_PREFIXES = new Set(['self', 'anti', 'quasi', 'half']);
+
+// Words after a suspended hyphen ("pre- and post-war"), which is not a line break
+const SUSPENDED_HYPHEN_WORDS = new Set(['and', 'or', 'nor', 'to', 'but']);
+
+// Join the texts of a chapter's files, rejoining paragraphs and words split between them
+function joinTextBlocks(blocks) {
+    return cleanUpTextBlocks(blocks)
+        .filter(text => text)
+        .join('\n\n');
+}
+
+// Clean up extracted text blocks (PDF pages, EPUB files): move paragraphs cut
+// at a block boundary back together and rejoin words hyphenated at line ends.
+// Returns one entry per block; a block that was all continuation becomes ''.
+// options.spacedHyphens also rejoins "infor- mation", which only PDF and OCR
+// text produce.
+function cleanUpTextBlocks(blocks, options = {}) {
+    const merged = [];
+    for (const block of blocks) {
+        const text = block.trim();
+        const previous = merged.length > 0 ? merged[merged.length - 1] : '';
+        const breakIndex = text.indexOf('\n\n');
+        const firstParagraph = breakIndex === -1 ? text : text.slice(0, breakIndex);
+        
+        if (continuesParagraph(previous, firstParagraph)) {
+            // A word hyphenated across the boundary is rejoined below like a line break
+            const separator = previous.endsWith('-') ? '\n' : ' ';
+            merged[merged.length - 1] = `${previous}${separator}${firstParagraph}`;
+            merged.push(breakIndex === -1 ? '' : text.slice(breakIndex + 2).trim());
+        } else {
+            merged.push(text);
+        }
+    }
+    
+    // Words seen elsewhere in the text decide how their broken forms are rejoined
+    const vocabulary = { words: new Set(), hyphenated: new Set() };
+    for (const match of merged.join('\n\n').matchAll(/\p{L}+(?:-\p{L}+)*/gu)) {
+        const word = match[0].toLowerCase();
+        (word.includes('-') ? vocabulary.hyphenated : vocabulary.words).add(word);
+    }
+    
+    return merged.map(text => dehyphenateText(text, vocabulary, options.spacedHyphens));
+}
+
+// Whether a paragraph starting a block carries on the sentence ending the previous one
+function continuesParagraph(previous, paragraph) {
+    const lastLine = previous.slice(previous.lastIndexOf('\n') + 1);
+    if (!previous || !paragraph || /^[=-]+$/.test(lastLine)) {
+        return false;
+    }
+    return !/[.!?:;…"”’)\]]$/.test(previous) && /^\p{Ll}/u.test(paragraph);
+}
+
+// Rejoin words hyphenated at line ends ("infor-\nmation"), and with spacedHyphens
+// in text from scans where the line break became a space ("infor- mation")
+function dehyphenateText(text, vocabulary, spacedHyphens = false) {
+    const lineEndHyphen = spacedHyphens
+        ? /(\p{L}+)-([ \t]*\n[ \t]*| +)(\p{L}[\p{L}'’]*)/gu
+        : /(\p{L}+)-([ \t]*\n[ \t]*)(\p{L}[\p{L}'’]*)/gu;
+    
+    return text
+        .replace(/\u00ad/g, '')
+        .replace(lineEndHyphen, (match, before, separator, after) => {
+            if (!separator.includes('\n') && (!/^\p{Ll}/u.test(after) || SUSPENDED_HYPHEN_WORDS.has(after))) {
+                return match;
+            }
+            return isBrokenWord(before, after, vocabulary) ? before + after : `${before}-${after}`;
+        });
+}
+
+// Whether two halves around a line-end hyphen are one word rather than a compound
+function isBrokenWord(before, after, vocabulary) {
+    // Proper names and numbers keep their hyphen ("Anglo-Saxon")
+    if (/^\p{Lu}/u.test(after)) {
+        return false;
+    }
+    
+    const first = before.toLowerCase();
+    const second = after.toLowerCase();
+    if (vocabulary.hyphenated.has(`${first}-${second}`)) {
+        return false;
+    }
+    
+    // The book spells the word without a hyphen elsewhere
+    const joined = first + second;
+    if (vocabulary.words.has(joined)) {
+        return true;
+    }
+    
+    const words = getDehyphenationWords();
+    if (HYPHEN_PREFIXES.has(first) && words.has(second)) {
+        return false;
+    }
+    
+    // Unknown joined forms ("selfevident", "twentyfive") keep their hyphen
+    return words.has(joined);
+}
+
+// Walk an element and return its text as a list of blocks (paragraphs, headings, ...)
+function renderTextBlocks(element) {
+    const blocks = [];
+    let inline = '';
+    
+    // Turn the collected inline text into a block, keeping explicit <br> breaks
+    const flush = () => {
+        const text = inline
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .join('\n')
+            .replace(/^\n+|\n+$/g, '');
+        if (text) {
+            blocks.push(text);
+        }
+        inline = '';
+    };
+    
+    const walk = (node) => {
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+            inline += node.nodeValue.replace(/\s+/g, ' ');
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return;
+        }
+        
+        const tagName = (node.localName || node.tagName || '').toLowerCase();
+        
+        if (TEXT_SKIP_ELEMENTS.has(tagName)) {
+            return;
+        }
+        if (tagName === 'br') {
+            inline += '\n';
+            return;
+        }
+        if (tagName === 'img') {
+            const alt = (node.getAttribute('alt') || '').trim();
+            if (alt) {
+                inline += ` [Image: ${alt}] `;
+            }
+            return;
+        }
+        if (!TEXT_BLOCK_ELEMENTS.has(tagName)) {
+            Array.from(node.childNodes).forEach(walk);
+            return;
+        }
+        
+        flush();
+        blocks.push(...renderTextBlockElement(node, tagName));
+    };
+    
+    Array.from(element.childNodes).forEach(walk);
+    flush();
+    
+    return blocks;
+}
+
+// Render one block-level element as text blocks
+function renderTextBlockElement(element, tagName) {
+    switch (tagName) {
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6': {
+            const heading = renderTextBlocks(element).join(' ').replace(/\s+/g, ' ').trim();
+            if (!heading) {
+                return [];
+            }
+            const underline = tagName === 'h1' ? '=' : '-';
+            return [`${heading}\n${underline.repeat(Math.min(heading.length, 60))}`];
+        }
+        case 'ul':
+        case 'ol':
+            return [renderTextList(element, tagName === 'ol')];
+        case 'blockquote':
+        case 'dd': {
+            const quoted = renderTextBlocks(element).join('\n\n');
+            return quoted ? [indentText(quoted, '    ')] : [];
+        }
+        case 'pre': {
+            const preformatted = element.textContent.replace(/^\n+|\s+$/g, '');
+            return preformatted ? [preformatted] : [];
+        }
+        case 'table':
+            return [renderTextTable(element)];
+        case 'hr':
+            return ['* * *'];
+        default:
+            return renderTextBlocks(element);
+    }
+}
+
+// Render a list with bullets or numbers, indenting nested content under the marker
+function renderTextList(list, ordered) {
+    let number = parseInt(list.getAttribute('start'), 10);
+    if (isNaN(number)) {
+        number = 1;
+    }
+    
+    const lines = [];
+    for (const item of Array.from(list.children)) {
+        if ((item.localName || '').toLowerCase() !== 'li') continue;
+        
+        const marker = ordered ? `${number++}.` : '•';
+        const content = renderTextBlocks(item).join('\n');
+        const indent = ' '.repeat(marker.length + 1);
+        lines.push(`${marker} ${content.split('\n').join('\n' + indent)}`);
+    }
+    
+    return lines.join('\n');
+}
+
+// Lay out a table as padded columns, with a rule under a header row
+function renderTextTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+        .filter(row => row.closest('table') === table)
+        .map(row => Array.from(row.children)
+            .filter(cell => ['td', 'th'].includes((cell.localName || '').toLowerCase()))
+            .map(cell => ({
+                text: renderTextBlocks(cell).join(' ').replace(/\s+/g, ' ').trim(),
+                header: (cell.localName || '').toLowerCase() === 'th'
+            })))
+        .filter(row => row.length > 0);
+    
+    if (rows.length === 0) {
+        return '';
+    }
+    
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const widths = [];
+    for (let col = 0; col < columnCount; col++) {
+        widths.push(Math.max(...rows.map(row => (row[col] ? row[col].text.length : 0))));
+    }
+    
+    const lines = rows.map(row => widths
+        .map((width, col) => (row[col] ? row[col].text : '').padEnd(width))
+        .join(' | ')
+        .trimEnd());
+    
+    if (rows[0].every(cell => cell.header)) {
+        lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('-+-'));
+    }
+    
+    const caption = table.querySelector('caption');
+    if (caption && caption.textContent.trim()) {
+        lines.unshift(caption.textContent.replace(/\s+/g, ' ').trim());
+    }
+    
+    return lines.join('\n');
+}
+
+// Prefix every non-empty line of a block of text
+function indentText(text, prefix) {
+    return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+// Convert one part (file and anchor range) of an EPUB chapter to Markdown
+async function extractEpubPartMarkdown(zip, part, chapter, options = {}) {
+    const loaded = await loadEpubPart(zip, part);
+    if (!loaded) {
+        return '*[Error: Chapter file not found in EPUB archive]*';
+    }
+    
+    // Footnotes may live in this file or in a separate notes file
+    const noteTargets = await collectNoteTargets(zip, loaded.doc, loaded.rootElement, part.href);
+    const markdown = htmlToMarkdown(loaded.rootElement, { ...options, noteTargets });
+    
+    console.log('EPUB Markdown conversion - Chapter:', chapter.title, 'File:', part.href, 'Length:', markdown.length);
+    return markdown;
+}
+
+// Check an element's epub:type / role for one of the given semantic types
+function hasEpubType(element, types) {
+    const epubType = element.getAttribute('epub:type') ||
+        (element.getAttributeNS ? element.getAttributeNS('http://www.idpf.org/2007/ops', 'type') : '') || '';
+    const role = (element.getAttribute('role') || '').replace(/^doc-/, '');
+    return epubType.split(/\s+/).concat(role).some(type => types.includes(type));
+}
+
+// Find the elements that footnote references in a chapter point at
+async function collectNoteTargets(zip, doc, rootElement, partHref) {
+    const noteTargets = new Map();
+    const partDir = partHref.substring(0, partHref.lastIndexOf('/') + 1);
+    const otherDocs = new Map();
+    
+    for (const link of Array.from(rootElement.querySelectorAll('a[href]'))) {
+        if (!hasEpubType(link, ['noteref'])) continue;
+        
+        const href = link.getAttribute('href');
+        const anchor = getHrefFragment(href);
+        if (!anchor || noteTargets.has(anchor)) continue;
+        
+        try {
+            const targetPath = href.startsWith('#') ? partHref : resolveEpubPath(partDir, href);
+            let targetDoc = doc;
+            
+            if (targetPath !== partHref) {
+                if (!otherDocs.has(targetPath)) {
+                    const targetFile = zip.file(targetPath);
+                    otherDocs.set(targetPath, targetFile ? parseChapterDocument(await targetFile.async('string')) : null);
+                }
+                targetDoc = otherDocs.get(targetPath);
+            }
+            
+            let target = targetDoc ? findAnchorElement(targetDoc, anchor) : null;
+            
+            // Back-link anchors like <a id="fn1">1</a> sit inside the paragraph that holds the note
+            if (target && !TEXT_BLOCK_ELEMENTS.has((target.localName || '').toLowerCase()) &&
+                target.parentElement && ['p', 'li', 'div', 'aside', 'dd'].includes(target.parentElement.localName)) {
+                target = target.parentElement;
+            }
+            if (target) {
+                noteTargets.set(anchor, target);
+            }
+        } catch (error) {
+            console.warn('Error resolving footnote:', href, error);
+        }
+    }
+    
+    return noteTargets;
+}
+
+// Convert an element to Markdown.
+// options.headingOffset shifts heading levels; options.skipHeading drops a leading
+// heading that repeats the chapter title; options.noteTargets maps footnote ids to elements;
+// options.notePrefix keeps footnote labels unique when several parts end up in one file.
+function htmlToMarkdown(element, options = {}) {
+    const context = {
+        headingOffset: options.headingOffset || 0,
+        notePrefix: options.notePrefix || '',
+        skipHeading: options.skipHeading ? normalizeTitle(options.skipHeading) : null,
+        noteTargets: options.noteTargets || new Map(),
+        noteElements: new Set((options.noteTargets || new Map()).values()),
+        footnotes: new Map()
+    };
+    
+    const blocks = renderMarkdownBlocks(element, context);
+    
+    // Footnote definitions go at the end of the chapter
+    for (const [label, text] of context.footnotes) {
+        blocks.push(`[^${label}]: ${text.split('\n').join('\n    ')}`);
+    }
+    
+    return blocks.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Lower-case a title and drop punctuation so near-identical headings compare equal
+function normalizeTitle(title) {
+    return title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Walk an element and return its Markdown as a list of blocks
+function renderMarkdownBlocks(element, context) {
+    const blocks = [];
+    let inline = '';
+    
+    const flush = () => {
+        const text = inline
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .join('\n')
+            .replace(/^(\\?\n)+|(\\?\n)+$/g, '');
+        if (text && text !== '\\') {
+            blocks.push(escapeMarkdownLineStarts(text));
+        }
+        inline = '';
+    };
+    
+    // Wrap the inline output of an element in a marker (**, *, `), keeping spaces outside
+    const wrapInline = (node, marker) => {
+        const start = inline.length;
+        Array.from(node.childNodes).forEach(walk);
+        const inner = inline.substring(start);
+        const trimmed = inner.trim();
+        inline = inline.substring(0, start);
+        if (!trimmed) {
+            inline += inner;
+            return;
+        }
+        const leading = inner.match(/^\s*/)[0];
+        const trailing = inner.match(/\s*$/)[0];
+        inline += `${leading ? ' ' : ''}${marker}${trimmed}${marker}${trailing ? ' ' : ''}`;
+    };
+    
+    const walk = (node) => {
+        if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+            inline += escapeMarkdownInline(node.nodeValue.replace(/\s+/g, ' '));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return;
+        }
+        
+        const tagName = (node.localName || node.tagName || '').toLowerCase();
+        
+        if (TEXT_SKIP_ELEMENTS.has(tagName)) {
+            return;
+        }
+        
+        // Footnote bodies are written out as definitions, not inline
+        if (context.noteElements.has(node)) {
+            return;
+        }
+        
+        switch (tagName) {
+            case 'br':
+                inline += '\\\n';
+                return;
+            case 'img': {
+                const alt = (node.getAttribute('alt') || '').trim();
+                const src = node.getAttribute('src') || '';
+                inline += `![${escapeMarkdownInline(alt)}](${src.replace(/\s/g, '%20')})`;
+                return;
+            }
+            case 'em':
+            case 'i':
+            case 'cite':
+                wrapInline(node, '*');
+                return;
+            case 'strong':
+            case 'b':
+                wrapInline(node, '**');
+                return;
+            case 's':
+            case 'del':
+            case 'strike':
+                wrapInline(node, '~~');
+                return;
+            case 'code':
+            case 'kbd':
+            case 'samp':
+            case 'tt': {
+                const code = node.textContent.replace(/\s+/g, ' ');
+                const fence = code.includes('`') ? '``' : '`';
+                inline += code.trim() ? `${fence}${code}${fence}` : code;
+                return;
+            }
+            case 'a':
+                renderMarkdownLink(node);
+                return;
+            default:
+                break;
+        }
+        
+        if (!TEXT_BLOCK_ELEMENTS.has(tagName)) {
+            Array.from(node.childNodes).forEach(walk);
+            return;
+        }
+        
+        flush();
+        blocks.push(...renderMarkdownBlockElement(node, tagName, context));
+    };
+    
+    const renderMarkdownLink = (link) => {
+        const href = link.getAttribute('href') || '';
+        
+        // Footnote references become [^label] and their bodies are collected
+        if (hasEpubType(link, ['noteref'])) {
+            const anchor = getHrefFragment(href);
+            const target = anchor ? context.noteTargets.get(anchor) : null;
+            if (target) {
+                const label = context.notePrefix + anchor.replace(/[^\w-]/g, '');
+                if (!context.footnotes.has(label)) {
+                    context.footnotes.set(label, '');
+                    const noteContext = { ...context, skipHeading: null, footnotes: context.footnotes };
+                    const noteText = renderMarkdownBlocks(target, noteContext).join('\n\n')
+                        .replace(/^\\?\[?\d+\\?\]?\.?\s*/, '');
+                    context.footnotes.set(label, noteText);
+                }
+                inline += `[^${label}]`;
+                return;
+            }
+        }
+        
+        // Only links that work outside the book are kept; internal links become plain text
+        if (/^(https?:|mailto:)/i.test(href)) {
+            const start = inline.length;
+            Array.from(link.childNodes).forEach(walk);
+            const text = inline.substring(start).trim();
+            inline = inline.substring(0, start) + `[${text || href}](${href.replace(/\s/g, '%20').replace(/\)/g, '%29')})`;
+        } else {
+            Array.from(link.childNodes).forEach(walk);
+        }
+    };
+    
+    Array.from(element.childNodes).forEach(walk);
+    flush();
+    
+    return blocks;
+}
+
+// Escape Markdown formatting characters inside running text
+function escapeMarkdownInline(text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+// Escape characters that would start a heading, quote or list at the start of a line
+function escapeMarkdownLineStarts(text) {
+    return text
+        .replace(/^(\s*)([#>+-])(?=\s|$)/gm, '$1\\$2')
+        .replace(/^(\s*\d+)\.(?=\s|$)/gm, '$1\\.');
+}
+
+// Render one block-level element as Markdown blocks
+function renderMarkdownBlockElement(element, tagName, context) {
+    switch (tagName) {
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6': {
+            const heading = renderMarkdownBlocks(element, context).join(' ').replace(/\s+/g, ' ').trim();
+            if (!heading) {
+                return [];
+            }
+            
+            // Drop the chapter's own heading when the export already adds it
+            if (context.skipHeading !== null) {
+                const matches = normalizeTitle(element.textContent) === context.skipHeading;
+                context.skipHeading = null;
+                if (matches) {
+                    return [];
+                }
+            }
+            
+            const level = Math.min(6, parseInt(tagName[1], 10) + context.headingOffset);
+            return [`${'#'.repeat(level)} ${heading.replace(/^\\(?=[#>+-])/, '')}`];
+        }
+        case 'ul':
+        case 'ol':
+            return [renderMarkdownList(element, tagName === 'ol', context)];
+        case 'blockquote': {
+            const quoted = renderMarkdownBlocks(element, context).join('\n\n');
+            return quoted ? [quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : [];
+        }
+        case 'pre': {
+            const code = element.textContent.replace(/^\n+|\s+$/g, '');
+            if (!code) {
+                return [];
+            }
+            const codeElement = element.querySelector('code');
+            const languageMatch = ((codeElement || element).getAttribute('class') || '').match(/(?:language|lang)-([\w+-]+)/);
+            const fence = code.includes('```') ? '~~~' : '```';
+            return [`${fence}${languageMatch ? languageMatch[1] : ''}\n${code}\n${fence}`];
+        }
+        case 'table':
+            return [renderMarkdownTable(element, context)];
+        case 'hr':
+            return ['---'];
+        case 'dd': {
+            const definition = renderMarkdownBlocks(element, context).join('\n\n');
+            return definition ? [indentText(definition, ': ')] : [];
+        }
+        default:
+            return renderMarkdownBlocks(element, context);
+    }
+}
+
+// Render a Markdown list, indenting nested content under the marker
+function renderMarkdownList(list, ordered, context) {
+    let number = parseInt(list.getAttribute('start'), 10);
+    if (isNaN(number)) {
+        number = 1;
+    }
+    
+    const lines = [];
+    for (const item of Array.from(list.children)) {
+        if ((item.localName || '').toLowerCase() !== 'li') continue;
+        
+        const marker = ordered ? `${number++}.` : '-';
+        const content = renderMarkdownBlocks(item, context).join('\n');
+        const indent = ' '.repeat(marker.length + 1);
+        lines.push(`${marker} ${content.split('\n').join('\n' + indent)}`);
+    }
+    
+    return lines.join('\n');
+}
+
+// Render a table as a GFM pipe table (the first row is used as the header)
+function renderMarkdownTable(table, context) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+        .filter(row => row.closest('table') === table)
+        .map(row => Array.from(row.children)
+            .filter(cell => ['td', 'th'].includes((cell.localName || '').toLowerCase()))
+            .map(cell => renderMarkdownBlocks(cell, context).join(' ').replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()))
+        .filter(row => row.length > 0);
+    
+    if (rows.length === 0) {
+        return '';
+    }
+    
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const toLine = (row) => `| ${Array.from({ length: columnCount }, (_, col) => row[col] || '').join(' | ')} |`;
+    
+    const lines = [toLine(rows[0]), `|${' --- |'.repeat(columnCount)}`];
+    rows.slice(1).forEach(row => lines.push(toLine(row)));
+    
+    const caption = table.querySelector('caption');
+    if (caption && caption.textContent.trim()) {
+        lines.unshift(`*${escapeMarkdownInline(caption.textContent.replace(/\s+/g, ' ').trim())}*\n`);
+    }
+    
+    return lines.join('\n');
+}
+
+// Turn plain text (PDF chapters) into Markdown paragraphs
+function textToMarkdown(text) {
+    return text
+        .split(/\n{2,}/)
+        .map(paragraph => escapeMarkdownLineStarts(escapeMarkdownInline(paragraph.trim())))
+        .filter(paragraph => paragraph)
+        .join('\n\n');
+}
+
+// Make a GitHub-style heading anchor for the Markdown table of contents
+function markdownSlug(title, usedSlugs) {
+    const base = title.toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').trim().replace(/\s/g, '-') || 'section';
+    let slug = base;
+    for (let n = 1; usedSlugs.has(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    usedSlugs.add(slug);
+    return slug;
+}
+
+// Elements kept as-is in the formatted reader view
+const READER_ALLOWED_ELEMENTS = new Set([
+    'a', 'abbr', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite',
+    'code', 'col', 'colgroup', 'dd', 'del', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li',
+    'main', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section', 'small',
+    'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr',
+    'u', 'ul', 'var', 'wbr'
+]);
+
+// Elements dropped together with their content
+const READER_REMOVED_ELEMENTS = new Set([
+    'audio', 'button', 'canvas', 'embed', 'form', 'frame', 'frameset', 'head', 'iframe', 'input',
+    'link', 'map', 'math', 'meta', 'noscript', 'object', 'script', 'select', 'source', 'style',
+    'template', 'textarea', 'title', 'track', 'video'
+]);
+
+// Attributes kept on allowed elements (href and src are handled separately)
+const READER_ALLOWED_ATTRIBUTES = new Set([
+    'alt', 'colspan', 'datetime', 'dir', 'height', 'id', 'lang', 'reversed', 'rowspan', 'span',
+    'start', 'title', 'type', 'width'
+]);
+
+// Render a chapter's own XHTML for the reader view. The markup is rebuilt from an
+// allowlist: no scripts, no event handlers, no styles, and images only as blob URLs
+// made from the book's zip.
+async function renderFormattedChapter(zip, chapter, blobUrls) {
+    const container = document.createElement('div');
+    container.className = 'formatted-chapter';
+    const imageUrls = new Map();
+    
+    for (const part of getChapterParts(chapter)) {
+        const loaded = await loadEpubPart(zip, part);
+        if (!loaded) continue;
+        
+        const partDir = part.href.substring(0, part.href.lastIndexOf('/') + 1);
+        const images = [];
+        const sanitized = sanitizeChapterNode(loaded.rootElement, partDir, images);
+        
+        // Swap image paths for blob URLs once the whole part is sanitized
+        for (const { img, path } of images) {
+            if (!imageUrls.has(path)) {
+                const file = zip.file(path);
+                let url = null;
+                if (file) {
+                    url = URL.createObjectURL(new Blob([await file.async('uint8array')], { type: guessMediaType(path) }));
+                    blobUrls.push(url);
+                }
+                imageUrls.set(path, url);
+            }
+            
+            if (imageUrls.get(path)) {
+                img.src = imageUrls.get(path);
+            } else {
+                img.replaceWith(document.createTextNode(img.alt ? `[Image: ${img.alt}]` : ''));
+            }
+        }
+        
+        container.appendChild(sanitized);
+    }
+    
+    return container;
+}
+
+// Rebuild a node tree in this document from the reader allowlist
+function sanitizeChapterNode(node, partDir, images) {
+    const fragment = document.createDocumentFragment();
+    
+    for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) {
+            fragment.appendChild(document.createTextNode(child.nodeValue));
+            continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) continue;
+        
+        const tagName = (child.localName || '').toLowerCase();
+        if (READER_REMOVED_ELEMENTS.has(tagName)) continue;
+        
+        // SVG wrappers around a single raster image become a plain <img>
+        if (tagName === 'image') {
+            const href = child.getAttribute('href') || child.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+            if (href && !/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+                const img = document.createElement('img');
+                images.push({ img, path: resolveEpubPath(partDir, href) });
+                fragment.appendChild(img);
+            }
+            continue;
+        }
+        
+        // Unknown elements are unwrapped so their text is kept
+        if (!READER_ALLOWED_ELEMENTS.has(tagName)) {
+            fragment.appendChild(sanitizeChapterNode(child, partDir, images));
+            continue;
+        }
+        
+        const element = document.createElement(tagName);
+        for (const attribute of Array.from(child.attributes)) {
+            const name = attribute.localName.toLowerCase();
+            if (!READER_ALLOWED_ATTRIBUTES.has(name)) continue;
+            
+            // Prefix ids so they cannot clash with the app's own elements
+            element.setAttribute(name, name === 'id' ? `book-${attribute.value}` : attribute.value);
+        }
+        
+        if (tagName === 'a') {
+            const href = child.getAttribute('href') || '';
+            if (/^(https?:|mailto:)/i.test(href)) {
+                element.setAttribute('href', href);
+                element.setAttribute('target', '_blank');
+                element.setAttribute('rel', 'noopener noreferrer');
+            } else if (href.startsWith('#') && href.length > 1) {
+                element.setAttribute('href', `#book-${href.substring(1)}`);
+            }
+        } else if (tagName === 'img') {
+            const src = child.getAttribute('src');
+            if (!src || /^[a-z][a-z0-9+.-]*:/i.test(src)) {
+                // External and data: images are not loaded
+                fragment.appendChild(document.createTextNode(child.getAttribute('alt') ? `[Image: ${child.getAttribute('alt')}]` : ''));
+                continue;
+            }
+            images.push({ img: element, path: resolveEpubPath(partDir, src) });
+        }
+        
+        element.appendChild(sanitizeChapterNode(child, partDir, images));
+        fragment.appendChild(element);
+    }
+    
+    return fragment;
+}
+
+// Show the current chapter in the chosen reader mode
+function showChapterContent() {
+    const canFormat = currentChapterFormatted !== null;
+    readerModeBtn.style.display = canFormat ? 'inline-block' : 'none';
+    readerModeBtn.textContent = readerMode === 'formatted' ? 'Show plain text' : 'Show formatted';
+    
+    if (readerMode === 'formatted' && canFormat) {
+        chapterContent.classList.add('formatted');
+        chapterContent.innerHTML = '';
+        chapterContent.appendChild(currentChapterFormatted.cloneNode(true));
+    } else {
+        chapterContent.classList.remove('formatted');
+        chapterContent.textContent = currentChapterContent;
+    }
+    
+    // Rendering replaces the content, so saved and find highlights are reapplied
+    highlightAnnotations();
+    highlightFindMatches();
+}
+
+// Switch between the formatted and plain-text reader views
+function toggleReaderMode() {
+    const scrollRatio = getChapterScrollRatio();
+    readerMode = readerMode === 'formatted' ? 'text' : 'formatted';
+    localStorage.setItem('readerMode', readerMode);
+    showChapterContent();
+    setChapterScrollRatio(scrollRatio);
+}
+
+// Reading position
+let readingPositionTimer = null;
+
+// Scroll position as a fraction so it survives re-rendering in another mode
+function getChapterScrollRatio() {
+    const scrollable = chapterContent.scrollHeight - chapterContent.clientHeight;
+    return scrollable > 0 ? chapterContent.scrollTop / scrollable : 0;
+}
+
+function setChapterScrollRatio(ratio) {
+    const scrollable = chapterContent.scrollHeight - chapterContent.clientHeight;
+    chapterContent.scrollTop = Math.round(scrollable * ratio);
+}
+
+// Save the current chapter and scroll position for the open book
+async function saveReadingPosition() {
+    clearTimeout(readingPositionTimer);
+    readingPositionTimer = null;
+    
+    // The scroll position is only meaningful while the chapter is on screen
+    if (!currentBook || currentChapterIndex === null || contentSection.style.display === 'none') {
+        return;
+    }
+    
+    const chapter = getBookChapters(currentBook)[currentChapterIndex];
+    try {
+        await epubDB.putReadingPosition({
+            bookId: currentBook.id,
+            chapterIndex: currentChapterIndex,
+            chapterKey: chapter ? getChapterKey(chapter) : null,
+            chapterTitle: chapter ? chapter.title : `Chapter ${currentChapterIndex + 1}`,
+            scrollRatio: getChapterScrollRatio(),
+            updatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error saving reading position:', error);
+    }
+}
+
+function handleChapterScroll() {
+    clearTimeout(readingPositionTimer);
+    readingPositionTimer = setTimeout(saveReadingPosition, 500);
+}
+
+// Open the chapter the reader was last on, at the saved scroll position
+async function continueReading(bookId) {
+    try {
+        const book = await epubDB.getBook(bookId);
+        const position = await epubDB.getReadingPosition(bookId);
+        if (!book || !position) {
+            return;
+        }
+        
+        // Chapter numbers shift when chapters are merged, edited or re-detected,
+        // so look the chapter up by key and title first
+        const chapters = getBookChapters(book);
+        let chapterIndex = findChapterIndex(chapters, position);
+        if (chapterIndex === -1) {
+            chapterIndex = Math.min(position.chapterIndex, chapters.length - 1);
+        }
+        if (chapterIndex < 0) {
+            return;
+        }
+        
+        await viewChapter(bookId, chapterIndex, { scrollRatio: position.scrollRatio });
+    } catch (error) {
+        console.error('Error continuing reading:', error);
+        alert('Error opening last read chapter');
+    }
+}
+
+// Enable Previous/Next for the chapter on screen
+function updateChapterNavigation() {
+    const chapterCount = currentBook ? getBookChapters(currentBook).length : 0;
+    prevChapterBtn.disabled = currentChapterIndex === null || currentChapterIndex <= 0;
+    nextChapterBtn.disabled = currentChapterIndex === null || currentChapterIndex >= chapterCount - 1;
+}
+
+async function goToAdjacentChapter(direction) {
+    if (!currentBook || currentChapterIndex === null) {
+        return;
+    }
+    
+    const chapterIndex = currentChapterIndex + direction;
+    if (chapterIndex < 0 || chapterIndex >= getBookChapters(currentBook).length) {
+        return;
+    }
+    
+    prevChapterBtn.disabled = true;
+    nextChapterBtn.disabled = true;
+    try {
+        await viewChapter(currentBook.id, chapterIndex);
+        contentSection.scrollIntoView({ block: 'start' });
+    } finally {
+        updateChapterNavigation();
+    }
 }
 
-// View book chapters
-async function viewBook(bookId) {
+// Highlights and notes
+let pendingHighlightRange = null;
+let currentBookAnnotations = [];
+
+// Highlights are matched to chapters by key, so they follow chapter edits
+async function loadChapterAnnotations(book, chapterIndex) {
     try {
-        const book = await epubDB.getBook(bookId);
-        
-        if (!book) {
-            alert('Book not found');
+        const chapters = getBookChapters(book);
+        const annotations = await epubDB.getBookAnnotations(book.id);
+        return annotations
+            .filter(annotation => findChapterIndex(chapters, annotation) === chapterIndex)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+        console.error('Error loading annotations:', error);
+        return [];
+    }
+}
+
+// Mark the saved highlights in the displayed chapter
+function highlightAnnotations() {
+    pendingHighlightRange = null;
+    highlightBtn.disabled = true;
+    
+    currentChapterAnnotations.forEach(annotation => {
+        const matches = findTextMatches(chapterContent, annotation.text, { caseSensitive: true });
+        if (matches.length === 0) {
+            console.warn('Highlight text not found in chapter:', annotation.text);
             return;
         }
         
-        currentBook = book;
-        showChaptersSection(book);
-    } catch (error) {
-        console.error('Error loading book:', error);
-        alert('Error loading book');
+        const match = matches[Math.min(annotation.occurrence || 0, matches.length - 1)];
+        highlightTextMatch(match, 'annotation').forEach(mark => {
+            mark.dataset.annotationId = annotation.id;
+            if (annotation.note) {
+                mark.title = annotation.note;
+            }
+        });
+    });
+}
+
+// Remember the selection in the chapter so it can be saved as a highlight
+function handleChapterSelection() {
+    const selection = document.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+        return;
     }
+    
+    const range = selection.getRangeAt(0);
+    const inChapter = contentSection.style.display !== 'none' &&
+        chapterContent.contains(range.commonAncestorContainer);
+    pendingHighlightRange = inChapter && range.toString().trim() ? range.cloneRange() : null;
+    highlightBtn.disabled = !pendingHighlightRange;
 }
 
-// Delete book
-async function deleteBook(bookId) {
-    if (!confirm('Are you sure you want to delete this book?')) {
+async function saveSelectionAsHighlight() {
+    if (!pendingHighlightRange || !currentBook || currentChapterIndex === null) {
+        return;
+    }
+    
+    const range = pendingHighlightRange;
+    const text = range.toString().replace(/\s+/g, ' ').trim();
+    
+    // Which occurrence of the text was selected, so repeated phrases land in the right place
+    const matches = findTextMatches(chapterContent, text, { caseSensitive: true });
+    let occurrence = matches.findIndex(match => {
+        const matchRange = document.createRange();
+        matchRange.setStart(match[0].node, match[0].start);
+        return range.compareBoundaryPoints(Range.START_TO_START, matchRange) <= 0;
+    });
+    if (occurrence === -1) {
+        occurrence = 0;
+    }
+    
+    const note = prompt('Add a note to this highlight (optional):', '');
+    if (note === null) {
         return;
     }
     
+    const chapter = getBookChapters(currentBook)[currentChapterIndex];
+    const annotation = {
+        id: EpubExporter.generateUuid(),
+        bookId: currentBook.id,
+        chapterIndex: currentChapterIndex,
+        chapterKey: chapter ? getChapterKey(chapter) : null,
+        chapterTitle: chapter ? chapter.title : `Chapter ${currentChapterIndex + 1}`,
+        text: text,
+        note: note.trim(),
+        occurrence: occurrence,
+        createdAt: new Date().toISOString()
+    };
+    
     try {
-        await epubDB.deleteBook(bookId);
-        await loadBooks();
+        await epubDB.putAnnotation(annotation);
+        currentChapterAnnotations.push(annotation);
         
-        // Check if any books remain
-        const remainingBooks = await epubDB.getAllBooks();
-        if (remainingBooks.length === 0) {
-            hideAllSections();
-            uploadSection.style.display = 'block';
-        }
+        document.getSelection().removeAllRanges();
+        const scrollRatio = getChapterScrollRatio();
+        showChapterContent();
+        setChapterScrollRatio(scrollRatio);
     } catch (error) {
-        console.error('Error deleting book:', error);
-        alert('Error deleting book');
+        console.error('Error saving highlight:', error);
+        alert('Error saving highlight');
     }
 }
 
-// Show chapters section
-function showChaptersSection(book) {
+// List every highlight in a book, in reading order
+async function showAnnotationsSection(book) {
+    if (!book) {
+        return;
+    }
+    
     hideAllSections();
-    chaptersSection.style.display = 'block';
-    bookTitle.textContent = book.title;
+    annotationsSection.style.display = 'block';
+    annotationsTitle.textContent = `Annotations: ${book.title}`;
+    annotationsList.innerHTML = '';
     
-    chaptersList.innerHTML = '';
+    try {
+        currentBookAnnotations = await epubDB.getBookAnnotations(book.id);
+    } catch (error) {
+        console.error('Error loading annotations:', error);
+        currentBookAnnotations = [];
+    }
+    
+    // Place each highlight in the current chapter list; ones whose chapter was
+    // hidden or removed keep their saved title and go last
+    const chapters = getBookChapters(book);
+    currentBookAnnotations = currentBookAnnotations.map(annotation => {
+        const chapterIndex = findChapterIndex(chapters, annotation);
+        return {
+            ...annotation,
+            chapterIndex,
+            chapterTitle: chapterIndex !== -1 ? chapters[chapterIndex].title : annotation.chapterTitle
+        };
+    });
+    const chapterOrder = annotation => (annotation.chapterIndex === -1 ? chapters.length : annotation.chapterIndex);
     
-    if (!book.chapters || book.chapters.length === 0) {
+    currentBookAnnotations.sort((a, b) =>
+        chapterOrder(a) - chapterOrder(b) ||
+        (a.occurrence || 0) - (b.occurrence || 0) ||
+        a.createdAt.localeCompare(b.createdAt));
+    
+    const hasAnnotations = currentBookAnnotations.length > 0;
+    exportAnnotationsMdBtn.disabled = !hasAnnotations;
+    exportAnnotationsJsonBtn.disabled = !hasAnnotations;
+    
+    if (!hasAnnotations) {
         const li = document.createElement('li');
-        li.className = 'chapter-item';
-        li.innerHTML = '<span class="chapter-title">No chapters found</span>';
-        chaptersList.appendChild(li);
+        li.className = 'annotation-item';
+        li.textContent = 'No highlights yet. Select text in a chapter and press "Highlight selection".';
+        annotationsList.appendChild(li);
         return;
     }
     
-    book.chapters.forEach((chapter, index) => {
+    currentBookAnnotations.forEach(annotation => {
         const li = document.createElement('li');
-        li.className = 'chapter-item';
-        
-        // Ensure chapter title is displayed properly
-        const chapterTitle = chapter.title || `Chapter ${index + 1}`;
-        
+        li.className = 'annotation-item';
         li.innerHTML = `
-            <span class="chapter-title">${escapeHtml(chapterTitle)}</span>
-            <button class="btn btn-small" onclick="viewChapter('${book.id}', ${index})">View & Download</button>
+            <span class="annotation-chapter">${escapeHtml(annotation.chapterTitle)}${annotation.chapterIndex === -1 ? ' (chapter hidden or removed)' : ''}</span>
+            <blockquote class="annotation-text">${escapeHtml(annotation.text)}</blockquote>
+            ${annotation.note ? `<p class="annotation-note">${escapeHtml(annotation.note)}</p>` : ''}
+            <div class="book-actions-list">
+                <button class="btn btn-small" onclick="openAnnotation('${annotation.id}')">Open</button>
+                <button class="btn btn-small btn-danger" onclick="deleteAnnotation('${annotation.id}')">Delete</button>
+            </div>
         `;
-        chaptersList.appendChild(li);
+        annotationsList.appendChild(li);
     });
 }
 
-// Helper function to escape HTML
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+// Open the chapter holding a highlight and scroll to it
+async function openAnnotation(annotationId) {
+    const annotation = currentBookAnnotations.find(item => item.id === annotationId);
+    if (!annotation) {
+        return;
+    }
+    
+    if (annotation.chapterIndex === -1) {
+        alert('The chapter holding this highlight is hidden or no longer in the book.');
+        return;
+    }
+    
+    await viewChapter(annotation.bookId, annotation.chapterIndex);
+    const mark = chapterContent.querySelector(`mark[data-annotation-id="${annotationId}"]`);
+    if (mark) {
+        mark.scrollIntoView({ block: 'center' });
+    }
 }
 
-// View chapter content
-async function viewChapter(bookId, chapterIndex) {
-    // Show loading state immediately
-    const chapterButtons = document.querySelectorAll('.chapter-item button');
-    const clickedButton = chapterButtons[chapterIndex];
-    if (clickedButton) {
-        clickedButton.disabled = true;
-        clickedButton.textContent = 'Loading...';
+async function deleteAnnotation(annotationId) {
+    if (!confirm('Delete this highlight?')) {
+        return;
     }
     
     try {
-        const book = await epubDB.getBook(bookId);
-        
-        if (!book) {
-            alert('Book not found');
-            return;
-        }
-        
-        const chapter = book.chapters[chapterIndex];
-        if (!chapter) {
-            alert('Chapter not found');
-            return;
+        await epubDB.deleteAnnotation(annotationId);
+        await showAnnotationsSection(currentBook);
+    } catch (error) {
+        console.error('Error deleting highlight:', error);
+        alert('Error deleting highlight');
+    }
+}
+
+// Export the book's highlights as Markdown quotes or JSON
+function exportAnnotations(format) {
+    if (!currentBook || currentBookAnnotations.length === 0) {
+        return;
+    }
+    
+    const fileName = `${toFileName(currentBook.title)}_annotations`;
+    
+    if (format === 'json') {
+        const data = {
+            book: { id: currentBook.id, title: currentBook.title },
+            exportedAt: new Date().toISOString(),
+            annotations: currentBookAnnotations.map(annotation => ({
+                chapterIndex: annotation.chapterIndex,
+                chapterKey: annotation.chapterKey || null,
+                chapterTitle: annotation.chapterTitle,
+                text: annotation.text,
+                note: annotation.note,
+                createdAt: annotation.createdAt
+            }))
+        };
+        saveFile(JSON.stringify(data, null, 2), `${fileName}.json`, 'application/json');
+        return;
+    }
+    
+    const lines = [`# ${escapeMarkdownInline(currentBook.title)}: Annotations`, ''];
+    let lastChapterIndex = null;
+    currentBookAnnotations.forEach(annotation => {
+        if (annotation.chapterIndex !== lastChapterIndex) {
+            lines.push(`## ${escapeMarkdownInline(annotation.chapterTitle)}`, '');
+            lastChapterIndex = annotation.chapterIndex;
         }
         
-        // Load file and extract chapter content
-        const fileBlob = await epubDB.getEpubFile(bookId);
-        if (!fileBlob) {
-            alert('File not found');
-            return;
+        lines.push(`> ${escapeMarkdownInline(annotation.text)}`, '');
+        if (annotation.note) {
+            lines.push(escapeMarkdownLineStarts(escapeMarkdownInline(annotation.note)), '');
         }
+    });
+    
+    saveFile(lines.join('\n'), `${fileName}.md`, 'text/markdown');
+}
+
+// Find in chapter
+let findMarks = [];
+let findCurrentIndex = -1;
+let findDebounceTimer = null;
+
+function getFindOptions() {
+    return {
+        caseSensitive: findCaseCheckbox.checked,
+        wholeWord: findWholeWordCheckbox.checked
+    };
+}
+
+// Highlight every match of the find query in the displayed chapter
+function highlightFindMatches() {
+    findMarks = [];
+    findCurrentIndex = -1;
+    
+    const query = findInput.value.trim();
+    if (query) {
+        const matches = findTextMatches(chapterContent, query, getFindOptions());
         
-        const arrayBuffer = await fileBlob.arrayBuffer();
-        
-        // Determine book type if not set (for backward compatibility)
-        if (!book.type) {
-            if (book.fileName) {
-                if (book.fileName.toLowerCase().endsWith('.epub')) {
-                    book.type = 'epub';
-                } else if (book.fileName.toLowerCase().endsWith('.pdf')) {
-                    book.type = 'pdf';
-                }
-            }
-            console.warn('Book type was undefined, inferred as:', book.type);
+        // Wrap from the end so earlier matches keep valid offsets
+        for (let i = matches.length - 1; i >= 0; i--) {
+            findMarks.unshift(highlightTextMatch(matches[i], 'find-hit'));
         }
-        
-        console.log('File loaded, size:', arrayBuffer.byteLength, 'Type:', book.type);
-        
-        if (arrayBuffer.byteLength === 0) {
-            throw new Error('File data is empty');
+    }
+    
+    updateFindCount();
+}
+
+// Re-render the chapter so the highlights follow the new query or options
+function handleFindInput() {
+    clearTimeout(findDebounceTimer);
+    findDebounceTimer = setTimeout(() => {
+        showChapterContent();
+        if (findMarks.length > 0) {
+            selectFindMatch(0);
         }
-        
-        let textContent = ''; // Initialize to empty string instead of undefined
-        
-        if (book.type === 'epub') {
-            console.log('Processing EPUB chapter...');
-            try {
-                // Handle EPUB
-                const zip = await JSZip.loadAsync(arrayBuffer);
-            
-            // Check if the chapter file exists in the zip
-            const chapterFile = zip.file(chapter.href);
-            if (!chapterFile) {
-                console.error('Chapter file not found in EPUB:', chapter.href);
-                textContent = 'Error: Chapter file not found in EPUB archive';
-            } else {
-                console.log('Chapter file found, extracting content...');
-                const content = await chapterFile.async('string');
-                console.log('====== EPUB CHAPTER DEBUG ======');
-                console.log('Chapter file:', chapter.href);
-                console.log('Raw content length:', content.length);
-                console.log('First 1000 chars of raw content:');
-                console.log(content.substring(0, 1000));
-                console.log('================================');
-                
-                // First, let's examine what we're dealing with
-                console.log('Raw content type check:');
-                console.log('- Starts with <?xml:', content.startsWith('<?xml'));
-                console.log('- Contains <html:', content.includes('<html'));
-                console.log('- Contains <body:', content.includes('<body'));
-                console.log('- Contains namespace:', content.includes('xmlns'));
-                
-                const parser = new DOMParser();
-                
-                // Try multiple parsing approaches
-                let doc;
-                let parseSuccess = false;
-                
-                // Method 1: Try as XHTML
-                try {
-                    doc = parser.parseFromString(content, 'application/xhtml+xml');
-                    if (doc.documentElement.tagName !== 'parsererror') {
-                        console.log('Successfully parsed as XHTML');
-                        parseSuccess = true;
-                    }
-                } catch (e) {
-                    console.log('XHTML parsing failed:', e.message);
-                }
-                
-                // Method 2: Try as HTML
-                if (!parseSuccess) {
-                    try {
-                        doc = parser.parseFromString(content, 'text/html');
-                        console.log('Parsed as HTML');
-                        parseSuccess = true;
-                    } catch (e) {
-                        console.log('HTML parsing failed:', e.message);
-                    }
-                }
-                
-                // Method 3: If all else fails, create a wrapper
-                if (!parseSuccess) {
-                    console.warn('Standard parsing failed, trying wrapper approach');
-                    const wrappedContent = `<!DOCTYPE html><html><body>${content}</body></html>`;
-                    doc = parser.parseFromString(wrappedContent, 'text/html');
-                }
-                
-                // Get the body element, trying multiple selectors
-                let rootElement = doc.body || 
-                                 doc.querySelector('body') || 
-                                 doc.querySelector('html') ||
-                                 doc.documentElement;
-                
-                if (!rootElement) {
-                    console.error('No root element found in chapter HTML');
-                    console.log('Document structure:', doc);
-                    textContent = 'Error: Could not extract text from chapter';
-                } else {
-                    console.log('Root element found:', rootElement.tagName);
-                    
-                    // First, let's see what we're working with
-                    console.log('Root element:', rootElement);
-                    console.log('Root element tagName:', rootElement.tagName);
-                    console.log('Root element children count:', rootElement.children ? rootElement.children.length : 0);
-                    
-                    // Method 1: Try innerText (most reliable for displayed text)
-                    if (rootElement.innerText !== undefined) {
-                        textContent = rootElement.innerText;
-                        console.log('innerText length:', textContent.length);
-                    }
-                    
-                    // Method 2: Try textContent
-                    if (!textContent || textContent.length === 0) {
-                        textContent = rootElement.textContent || '';
-                        console.log('textContent length:', textContent.length);
-                    }
-                    
-                    // Method 3: If DOM methods fail, try namespace-aware extraction
-                    if (!textContent || textContent.length === 0) {
-                        console.warn('DOM extraction failed, checking for namespaced elements');
-                        
-                        // Try to get all elements regardless of namespace
-                        const allElements = doc.getElementsByTagName('*');
-                        console.log('Total elements in document:', allElements.length);
-                        
-                        // Extract text from all elements
-                        const texts = [];
-                        for (let i = 0; i < allElements.length; i++) {
-                            const elem = allElements[i];
-                            // Skip script and style elements
-                            const tagName = elem.tagName.toLowerCase();
-                            if (tagName === 'script' || tagName === 'style') continue;
-                            
-                            // Get direct text content (not from children)
-                            for (let j = 0; j < elem.childNodes.length; j++) {
-                                const node = elem.childNodes[j];
-                                if (node.nodeType === 3) { // Text node
-                                    const text = node.nodeValue.trim();
-                                    if (text) texts.push(text);
-                                }
-                            }
-                        }
-                        
-                        if (texts.length > 0) {
-                            textContent = texts.join(' ');
-                            console.log('Namespace-aware extraction found', texts.length, 'text pieces');
-                        }
-                    }
-                    
-                    // Method 4: Regex extraction from raw content
-                    if (!textContent || textContent.length === 0) {
-                        console.warn('Namespace extraction failed, trying regex extraction from raw content');
-                        
-                        // Remove scripts and styles
-                        let cleanContent = content;
-                        cleanContent = cleanContent.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-                        cleanContent = cleanContent.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
-                        
-                        // Extract text between tags (improved regex)
-                        const textMatches = cleanContent.match(/>([^<]+)</g);
-                        if (textMatches) {
-                            textContent = textMatches
-                                .map(match => match.substring(1, match.length - 1))
-                                .filter(text => text.trim().length > 0)
-                                .join(' ')
-                                .replace(/\s+/g, ' ')
-                                .trim();
-                            console.log('Regex extraction found', textMatches.length, 'matches, final length:', textContent.length);
-                        }
-                    }
-                    
-                    // Clean up the text
-                    if (textContent.length > 0) {
-                        textContent = textContent.replace(/\s+/g, ' ').trim();
-                        console.log('Final cleaned text length:', textContent.length);
-                        console.log('Text preview:', textContent.substring(0, 200));
-                    }
-                    
-                    // Method 3: Try getting all paragraph and heading elements
-                    if (!textContent || textContent.length === 0) {
-                        console.warn('No text from textContent, trying to extract from paragraphs and headings');
-                        const textElements = doc.querySelectorAll('p, h1, h2, h3, h4, h5, h6, div, span, li, td, th, blockquote');
-                        const textParts = [];
-                        textElements.forEach(el => {
-                            const text = (el.textContent || '').trim();
-                            if (text) {
-                                textParts.push(text);
-                            }
-                        });
-                        textContent = textParts.join('\n\n');
-                    }
-                    
-                    // Method 4: Last resort - innerHTML fallback
-                    if (!textContent || textContent.length === 0) {
-                        console.warn('Still no text, trying innerHTML text extraction');
-                        // Get innerHTML and strip tags
-                        let html = rootElement.innerHTML || '';
-                        // Remove script and style content
-                        html = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-                        html = html.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
-                        // Replace tags with spaces
-                        html = html.replace(/<br\s*\/?>/gi, '\n');
-                        html = html.replace(/<\/p>/gi, '\n\n');
-                        html = html.replace(/<\/div>/gi, '\n');
-                        html = html.replace(/<[^>]+>/g, ' ');
-                        // Decode HTML entities
-                        const tempDiv = document.createElement('div');
-                        tempDiv.innerHTML = html;
-                        textContent = tempDiv.textContent || tempDiv.innerText || '';
-                        textContent = textContent.replace(/\s+/g, ' ').trim();
-                    }
-                    
-                    // Final check to ensure we have content
-                    if (!textContent || textContent.length === 0) {
-                        console.error('Still no text content after all extraction attempts');
-                        console.log('Document HTML preview:', doc.documentElement.innerHTML.substring(0, 1000));
-                        
-                        // Ultimate fallback: strip ALL tags from the original content
-                        console.warn('Using ultimate fallback: stripping all tags from raw content');
-                        textContent = content
-                            .replace(/<!--[\s\S]*?-->/g, '') // Remove comments
-                            .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
-                            .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '') // Remove styles
-                            .replace(/<[^>]+>/g, ' ') // Remove all tags
-                            .replace(/&nbsp;/g, ' ') // Replace nbsp
-                            .replace(/&[^;]+;/g, ' ') // Remove other entities
-                            .replace(/\s+/g, ' ') // Normalize whitespace
-                            .trim();
-                        
-                        if (textContent.length > 0) {
-                            console.log('Ultimate fallback found text, length:', textContent.length);
-                        } else {
-                            textContent = 'Error: No text content could be extracted from this chapter. The chapter file may be empty, corrupted, or use an unsupported format.';
-                        }
-                    }
-                }
-                
-                console.log('EPUB text extraction - Chapter:', chapter.title, 'Text length:', textContent.length);
-                
-                // EMERGENCY FALLBACK: If still no text, just use the raw content
-                if (!textContent || textContent.length === 0) {
-                    console.error('EMERGENCY: All extraction methods failed!');
-                    console.log('Using raw content as last resort');
-                    
-                    // Just strip the most basic tags and use whatever's left
-                    textContent = content
-                        .replace(/<[^>]*>/g, ' ') // Remove ALL tags
-                        .replace(/\s+/g, ' ') // Collapse whitespace
-                        .trim();
-                    
-                    if (textContent.length === 0) {
-                        // If STILL nothing, the file might be truly empty
-                        textContent = `[Debug Info]\nFile: ${chapter.href}\nRaw content length: ${content.length}\nFirst 500 chars: ${content.substring(0, 500)}`;
-                    }
-                }
-            }
-            } catch (epubError) {
-                console.error('Error processing EPUB chapter:', epubError);
-                textContent = `Error processing EPUB: ${epubError.message}`;
-            }
-            
-        } else if (book.type === 'pdf') {
-            // Handle PDF
-            textContent = await PDFParser.extractTextFromPDFRange(
-                arrayBuffer, 
-                chapter.startPage, 
-                chapter.endPage
-            );
-        } else {
-            console.error('Unknown book type:', book.type);
-            textContent = 'Error: Unknown book type';
+    }, 200);
+}
+
+function handleFindKeydown(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        findNext(event.shiftKey ? -1 : 1);
+    }
+}
+
+function selectFindMatch(index) {
+    if (findCurrentIndex >= 0 && findMarks[findCurrentIndex]) {
+        findMarks[findCurrentIndex].forEach(mark => mark.classList.remove('current'));
+    }
+    
+    findCurrentIndex = index;
+    findMarks[index].forEach(mark => mark.classList.add('current'));
+    findMarks[index][0].scrollIntoView({ block: 'center' });
+    updateFindCount();
+}
+
+function updateFindCount(message = null) {
+    if (message) {
+        findCount.textContent = message;
+    } else if (!findInput.value.trim()) {
+        findCount.textContent = '';
+    } else if (findMarks.length === 0) {
+        findCount.textContent = 'No matches';
+    } else if (findCurrentIndex === -1) {
+        findCount.textContent = `${findMarks.length} match${findMarks.length === 1 ? '' : 'es'}`;
+    } else {
+        findCount.textContent = `${findCurrentIndex + 1} of ${findMarks.length}`;
+    }
+}
+
+// Step through matches, moving on to other chapters once this one runs out
+async function findNext(direction) {
+    const query = findInput.value.trim();
+    if (!query || !currentBook) {
+        return;
+    }
+    
+    // Apply a pending query change before stepping
+    if (findDebounceTimer) {
+        clearTimeout(findDebounceTimer);
+        findDebounceTimer = null;
+        showChapterContent();
+    }
+    
+    const nextIndex = findCurrentIndex + direction;
+    if (findMarks.length > 0 && findCurrentIndex === -1) {
+        selectFindMatch(direction > 0 ? 0 : findMarks.length - 1);
+        return;
+    }
+    if (nextIndex >= 0 && nextIndex < findMarks.length) {
+        selectFindMatch(nextIndex);
+        return;
+    }
+    
+    findPrevBtn.disabled = true;
+    findNextBtn.disabled = true;
+    updateFindCount('Searching other chapters…');
+    
+    try {
+        const book = currentBook;
+        const chapterIndex = await findChapterWithMatch(book, currentChapterIndex, direction, query, getFindOptions());
+        if (chapterIndex === null) {
+            updateFindCount(direction > 0 ? 'No more matches in this book' : 'No earlier matches in this book');
+            return;
         }
         
-        // Ensure we're setting the content properly
-        console.log('=== FINAL CONTENT CHECK ===');
-        console.log('Book type:', book.type);
-        console.log('textContent type:', typeof textContent);
-        console.log('textContent value:', textContent);
-        console.log('textContent length:', textContent ? textContent.length : 'null/undefined');
-        
-        if (textContent && textContent.length > 0) {
-            currentChapterContent = textContent;
-            console.log('SUCCESS: Set currentChapterContent, length:', currentChapterContent.length);
-            console.log('First 200 chars:', currentChapterContent.substring(0, 200));
-        } else {
-            console.error('ERROR: textContent is empty or undefined');
-            console.error('Setting error message as content');
-            currentChapterContent = 'Error: No content could be extracted from this chapter. Check console for debug info.';
+        await viewChapter(book.id, chapterIndex);
+        if (findMarks.length > 0) {
+            selectFindMatch(direction > 0 ? 0 : findMarks.length - 1);
+        }
+    } catch (error) {
+        console.error('Error searching chapters:', error);
+        updateFindCount('Search failed');
+    } finally {
+        findPrevBtn.disabled = false;
+        findNextBtn.disabled = false;
+    }
+}
+
+// Index of the nearest chapter after (or before) fromIndex that contains the query
+async function findChapterWithMatch(book, fromIndex, direction, query, options) {
+    const pattern = buildSearchPattern(query, options);
+    const chapters = getBookChapters(book);
+    
+    // Use the library search index when it is current, otherwise extract the text
+    const entry = await epubDB.getSearchIndex(book.id);
+    const indexedText = new Map();
+    if (entry && entry.version === SEARCH_INDEX_VERSION && entry.chapters.length === chapters.length) {
+        entry.chapters.forEach(chapter => indexedText.set(chapter.index, chapter.text));
+    }
+    
+    let source = null;
+    for (let i = fromIndex + direction; i >= 0 && i < chapters.length; i += direction) {
+        let text = indexedText.get(i);
+        if (text === undefined) {
+            source = source || await loadBookSource(book);
+            text = await renderChapterForExport(book, source, chapters[i], 'txt');
         }
         
-        // Show content
-        hideAllSections();
-        contentSection.style.display = 'block';
-        chapterTitle.textContent = chapter.title;
+        pattern.lastIndex = 0;
+        if (pattern.test(text)) {
+            return i;
+        }
+    }
+    
+    return null;
+}
+
+// Collect the images a chapter's XHTML references, in reading order
+async function extractEpubChapterImages(zip, chapter) {
+    const images = [];
+    const seenPaths = new Set();
+    
+    for (const part of getChapterParts(chapter)) {
+        const loaded = await loadEpubPart(zip, part);
+        if (!loaded) continue;
         
-        // Make sure the content element exists and update it
-        if (chapterContent) {
-            chapterContent.textContent = currentChapterContent;
-            console.log('Updated DOM element with content, element text length:', chapterContent.textContent.length);
+        const dir = part.href.substring(0, part.href.lastIndexOf('/') + 1);
+        for (const element of Array.from(loaded.rootElement.querySelectorAll('img, image'))) {
+            const href = element.getAttribute('src') || element.getAttribute('href') ||
+                element.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+            if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href)) continue;
             
-            // Double-check the element was updated
-            if (chapterContent.textContent.length === 0) {
-                console.error('WARNING: DOM element text is empty after update!');
-                chapterContent.innerHTML = `<pre>${currentChapterContent}</pre>`;
-            }
+            const path = resolveEpubPath(dir, href);
+            const file = zip.file(path);
+            if (seenPaths.has(path) || !file) continue;
+            seenPaths.add(path);
+            
+            const data = await file.async('uint8array');
+            images.push({
+                blob: new Blob([data], { type: guessMediaType(path) }),
+                label: (element.getAttribute('alt') || '').trim() || path.split('/').pop().replace(/\.[^.]+$/, ''),
+                extension: path.split('.').pop().toLowerCase()
+            });
+        }
+    }
+    
+    return images;
+}
+
+// Load and show the images of the chapter on screen
+async function loadChapterImages(book, chapter, chapterIndex) {
+    clearChapterImages();
+    
+    try {
+        const source = await loadBookSource(book);
+        let images;
+        
+        if (book.type === 'epub') {
+            images = await extractEpubChapterImages(source.zip, chapter);
+        } else if (book.type === 'pdf') {
+            images = (await PDFParser.extractImagesFromPDFRange(source.arrayBuffer, chapter.startPage, chapter.endPage))
+                .map(image => ({ ...image, label: `page-${image.page}`, extension: 'png' }));
         } else {
-            console.error('ERROR: chapterContent DOM element not found!');
+            images = [];
         }
         
-    } catch (error) {
-        console.error('Error loading chapter:', error);
-        alert('Error loading chapter content');
-    } finally {
-        // Reset button state
-        if (clickedButton) {
-            clickedButton.disabled = false;
-            clickedButton.textContent = 'View & Download';
+        // The reader may have moved on while images were loading
+        if (currentBook !== book || currentChapterIndex !== chapterIndex) {
+            return;
         }
+        
+        currentChapterImages = images.map((image, index) => ({
+            ...image,
+            fileName: `${String(index + 1).padStart(2, '0')}_${toFileName(image.label).replace(/_+/g, '_')}.${image.extension}`,
+            url: URL.createObjectURL(image.blob)
+        }));
+        renderChapterImages();
+    } catch (error) {
+        console.error('Error loading chapter images:', error);
     }
 }
 
-// Extract text from HTML
-function extractTextFromHtml(element) {
-    if (!element) {
-        console.error('extractTextFromHtml: element is null or undefined');
-        return '';
+// Show the chapter's images below the text
+function renderChapterImages() {
+    chapterImages.innerHTML = '';
+    
+    currentChapterImages.forEach(image => {
+        const figure = document.createElement('figure');
+        const img = document.createElement('img');
+        img.src = image.url;
+        img.alt = image.label;
+        img.loading = 'lazy';
+        const caption = document.createElement('figcaption');
+        caption.textContent = image.fileName;
+        figure.appendChild(img);
+        figure.appendChild(caption);
+        chapterImages.appendChild(figure);
+    });
+    
+    const hasImages = currentChapterImages.length > 0;
+    chapterImages.style.display = hasImages ? 'grid' : 'none';
+    downloadImagesBtn.style.display = hasImages ? 'inline-block' : 'none';
+}
+
+// Forget the previous chapter's images and free their blob URLs
+function clearChapterImages() {
+    currentChapterImages.forEach(image => URL.revokeObjectURL(image.url));
+    currentChapterImages = [];
+    renderChapterImages();
+}
+
+// Download the chapter's images as a zip, named in reading order
+async function downloadChapterImages() {
+    if (currentChapterImages.length === 0) {
+        alert('This chapter has no images');
+        return;
     }
     
-    console.log('Starting text extraction from element:', element.tagName || 'unknown');
+    downloadImagesBtn.disabled = true;
     
-    let text = '';
-    let nodeCount = 0;
-    let textNodeCount = 0;
+    try {
+        const imagesZip = new JSZip();
+        currentChapterImages.forEach(image => imagesZip.file(image.fileName, image.blob));
+        const zipBlob = await imagesZip.generateAsync({ type: 'blob' });
+        saveFile(zipBlob, `${toFileName(chapterTitle.textContent)}_images.zip`, 'application/zip');
+    } catch (error) {
+        console.error('Error downloading chapter images:', error);
+        alert('Error downloading chapter images');
+    } finally {
+        downloadImagesBtn.disabled = false;
+    }
+}
+
+// Save text or binary content as a file download
+function saveFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
     
-    function traverse(node) {
-        if (!node) return;
-        
-        nodeCount++;
-        
-        if (node.nodeType === Node.TEXT_NODE) {
-            const nodeText = node.textContent || '';
-            // Add all text, even whitespace (we'll clean it up later)
-            if (nodeText) {
-                text += nodeText;
-                textNodeCount++;
-            }
-        } else if (node.nodeType === Node.ELEMENT_NODE) {
-            // Skip style and script elements
-            const skipElements = ['style', 'script', 'noscript'];
-            const tagName = node.tagName ? node.tagName.toLowerCase() : '';
-            
-            if (skipElements.includes(tagName)) {
-                return;
-            }
-            
-            // Add line breaks for block elements BEFORE processing children
-            const blockElements = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'li', 'section', 'article', 'header', 'footer', 'nav', 'aside', 'blockquote', 'pre', 'td', 'th'];
-            
-            if (blockElements.includes(tagName) && text.length > 0) {
-                text += '\n';
-            }
-            
-            // Process child nodes
-            if (node.childNodes && node.childNodes.length > 0) {
-                for (let i = 0; i < node.childNodes.length; i++) {
-                    traverse(node.childNodes[i]);
-                }
-            }
-            
-            // Add line break after block element
-            if (blockElements.includes(tagName) && text.length > 0) {
-                text += '\n';
-            }
-            
-            // Add space after inline elements that typically need spacing
-            const spaceAfterElements = ['span', 'a', 'em', 'strong', 'b', 'i', 'u'];
-            if (spaceAfterElements.includes(tagName) && text.length > 0 && !text.endsWith(' ')) {
-                text += ' ';
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Turn a title into a safe file name
+function toFileName(title) {
+    return title.replace(/[^a-z0-9]/gi, '_');
+}
+
+// Load a book's stored file, unzipping it for EPUBs
+async function loadBookSource(book) {
+    const fileBlob = await epubDB.getEpubFile(book.id);
+    if (!fileBlob) {
+        throw new Error('File not found');
+    }
+    
+    const arrayBuffer = await fileBlob.arrayBuffer();
+    if (arrayBuffer.byteLength === 0) {
+        throw new Error('File data is empty');
+    }
+    
+    // Determine book type if not set (for backward compatibility)
+    if (!book.type) {
+        if (book.fileName) {
+            if (book.fileName.toLowerCase().endsWith('.epub')) {
+                book.type = 'epub';
+            } else if (book.fileName.toLowerCase().endsWith('.pdf')) {
+                book.type = 'pdf';
             }
         }
+        console.warn('Book type was undefined, inferred as:', book.type);
     }
     
-    traverse(element);
-    
-    console.log(`Text extraction complete. Processed ${nodeCount} nodes, found ${textNodeCount} text nodes`);
-    console.log('Raw text length:', text.length);
+    const zip = book.type === 'epub' ? await JSZip.loadAsync(arrayBuffer) : null;
+    return { arrayBuffer, zip };
+}
+
+// Per-book settings for PDF text extraction; OCR progress goes to the reader
+// unless another handler is given
+function getPdfTextOptions(book, onOcrProgress) {
+    return {
+        columns: book.pdfColumns || 'auto',
+        stripHeaders: book.pdfStripHeaders !== false,
+        pageMarkers: book.pdfPageMarkers !== false,
+        ocr: book.pdfOcr !== false,
+        bookId: book.id,
+        language: book.metadata ? book.metadata.language : '',
+        onOcrProgress: onOcrProgress || updateOcrStatus,
+        onOcrCached: () => scheduleOcrReindex(book)
+    };
+}
+
+const ocrReindexTimers = new Map();
+
+// Search indexing skips unrecognized pages, so re-index once new ones are cached
+function scheduleOcrReindex(book) {
+    clearTimeout(ocrReindexTimers.get(book.id));
+    ocrReindexTimers.set(book.id, setTimeout(() => {
+        ocrReindexTimers.delete(book.id);
+        queueSearchIndexing(book);
+    }, 5000));
+}
+
+// Show progress of text recognition on a scanned PDF page; null hides it
+function updateOcrStatus(pageNum, progress) {
+    if (progress === null) {
+        ocrStatus.style.display = 'none';
+        return;
+    }
     
-    // Clean up whitespace more carefully
-    text = text.replace(/\r\n/g, '\n'); // Normalize line endings
-    text = text.replace(/\n{3,}/g, '\n\n'); // Reduce multiple line breaks to double
-    text = text.replace(/[ \t]+/g, ' '); // Reduce multiple spaces/tabs to single space
-    text = text.replace(/\n[ \t]+/g, '\n'); // Remove leading spaces on lines
-    text = text.replace(/[ \t]+\n/g, '\n'); // Remove trailing spaces on lines
-    text = text.trim();
+    ocrStatus.style.display = 'block';
+    ocrStatus.textContent = `Recognizing text on scanned page ${pageNum}... ${Math.round(progress * 100)}%`;
+}
+
+// Render one chapter for export as plain text ('txt') or Markdown ('md')
+async function renderChapterForExport(book, source, chapter, format, options = {}) {
+    if (book.type === 'epub') {
+        const parts = getChapterParts(chapter);
+        const partTexts = [];
+        for (let i = 0; i < parts.length; i++) {
+            partTexts.push(format === 'md'
+                ? await extractEpubPartMarkdown(source.zip, parts[i], chapter, {
+                    headingOffset: options.headingOffset,
+                    skipHeading: i === 0 ? chapter.title : null,
+                    notePrefix: `${options.notePrefix || ''}${parts.length > 1 ? `p${i + 1}-` : ''}`
+                })
+                : await extractEpubPartText(source.zip, parts[i], chapter));
+        }
+        return joinTextBlocks(partTexts);
+    }
     
-    console.log('Cleaned text length:', text.length);
-    if (text.length > 0) {
-        console.log('First 200 chars of extracted text:', text.substring(0, 200));
+    if (book.type === 'pdf') {
+        // Callers reuse one source for many chapters, and pdf.js empties the
+        // buffer it is given by transferring it to its worker
+        const text = await PDFParser.extractTextFromPDFRange(
+            source.arrayBuffer.slice(0),
+            chapter.startPage,
+            chapter.endPage,
+            { ...getPdfTextOptions(book, options.onOcrProgress), ocrCachedOnly: !!options.ocrCachedOnly }
+        );
+        return format === 'md' ? textToMarkdown(text) : text;
     }
     
-    return text;
+    throw new Error(`Unknown book type: ${book.type}`);
 }
 
 // Download chapter as .txt
@@ -1777,26 +7068,88 @@ function downloadChapter() {
         return;
     }
     
-    const fileName = `${chapterTitle.textContent.replace(/[^a-z0-9]/gi, '_')}.txt`;
-    const blob = new Blob([currentChapterContent], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
+    saveFile(currentChapterContent, `${toFileName(chapterTitle.textContent)}.txt`, 'text/plain');
+}
+
+// Download chapter as Markdown
+async function downloadChapterMarkdown() {
+    if (!currentBook || currentChapterIndex === null) {
+        alert('No chapter content available to download');
+        return;
+    }
     
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = fileName;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const chapter = getBookChapters(currentBook)[currentChapterIndex];
+    downloadMarkdownBtn.disabled = true;
+    
+    try {
+        const source = await loadBookSource(currentBook);
+        const body = await renderChapterForExport(currentBook, source, chapter, 'md', { headingOffset: 1 });
+        const markdown = `# ${escapeMarkdownInline(chapter.title)}\n\n${body}\n`;
+        saveFile(markdown, `${toFileName(chapter.title)}.md`, 'text/markdown');
+    } catch (error) {
+        console.error('Error exporting chapter as Markdown:', error);
+        alert('Error exporting chapter as Markdown');
+    } finally {
+        downloadMarkdownBtn.disabled = false;
+    }
+}
+
+// Download chapter as a self-contained HTML file
+async function downloadChapterHtml() {
+    if (!currentBook || currentChapterIndex === null) {
+        alert('No chapter content available to download');
+        return;
+    }
+    
+    const chapter = getBookChapters(currentBook)[currentChapterIndex];
+    downloadHtmlBtn.disabled = true;
+    
+    try {
+        const source = await loadBookSource(currentBook);
+        const html = await HtmlExporter.buildHtml(currentBook, source, [chapter], { title: chapter.title });
+        saveFile(html, `${toFileName(chapter.title)}.html`, 'text/html');
+    } catch (error) {
+        console.error('Error exporting chapter as HTML:', error);
+        alert('Error exporting chapter as HTML');
+    } finally {
+        downloadHtmlBtn.disabled = false;
+    }
+}
+
+// Download entire book as a self-contained HTML file
+async function downloadFullBookHtml() {
+    if (!currentBook) {
+        alert('No book selected');
+        return;
+    }
+    
+    const chapters = getBookChapters(currentBook);
+    showLoadingIndicator(chapters.length, downloadFullBookHtmlBtn);
+    
+    try {
+        const source = await loadBookSource(currentBook);
+        const html = await HtmlExporter.buildHtml(currentBook, source, chapters, {
+            onProgress: updateLoadingProgress
+        });
+        updateLoadingProgress(chapters.length, chapters.length);
+        saveFile(html, `${toFileName(currentBook.title)}_complete.html`, 'text/html');
+    } catch (error) {
+        console.error('Error downloading full book as HTML:', error);
+        alert('Error downloading full book');
+    } finally {
+        hideLoadingIndicator();
+    }
 }
 
 // Show loading indicator
-function showLoadingIndicator(totalChapters) {
+function showLoadingIndicator(totalChapters, button) {
     loadingIndicator.style.display = 'block';
     progressFill.style.width = '0%';
     progressText.textContent = `0 / ${totalChapters} chapters`;
-    downloadFullBookBtn.disabled = true;
-    downloadFullBookBtn.textContent = 'Processing...';
+    activeDownloadButton = button;
+    button.dataset.label = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Processing...';
 }
 
 // Update loading progress
@@ -1809,149 +7162,43 @@ function updateLoadingProgress(current, total) {
 // Hide loading indicator
 function hideLoadingIndicator() {
     loadingIndicator.style.display = 'none';
-    downloadFullBookBtn.disabled = false;
-    downloadFullBookBtn.textContent = 'Download Full Book as .txt';
+    if (activeDownloadButton) {
+        activeDownloadButton.disabled = false;
+        activeDownloadButton.textContent = activeDownloadButton.dataset.label;
+        activeDownloadButton = null;
+    }
 }
 
-// Download entire book as .txt
-async function downloadFullBook() {
+// Download entire book as .txt or Markdown
+async function downloadFullBook(format = 'txt') {
     if (!currentBook) {
         alert('No book selected');
         return;
     }
     
-    const totalChapters = currentBook.chapters.length;
-    showLoadingIndicator(totalChapters);
+    const totalChapters = getBookChapters(currentBook).length;
+    showLoadingIndicator(totalChapters, format === 'md' ? downloadFullBookMdBtn : downloadFullBookBtn);
     
     try {
         // Load file
-        const fileBlob = await epubDB.getEpubFile(currentBook.id);
-        if (!fileBlob) {
-            alert('File not found');
-            return;
-        }
-        
-        const arrayBuffer = await fileBlob.arrayBuffer();
-        
-        console.log('Full book download - File loaded, size:', arrayBuffer.byteLength);
-        
-        if (arrayBuffer.byteLength === 0) {
-            throw new Error('File data is empty');
-        }
-        
-        // Determine book type if not set (for backward compatibility)
-        if (!currentBook.type) {
-            if (currentBook.fileName) {
-                if (currentBook.fileName.toLowerCase().endsWith('.epub')) {
-                    currentBook.type = 'epub';
-                } else if (currentBook.fileName.toLowerCase().endsWith('.pdf')) {
-                    currentBook.type = 'pdf';
-                }
-            }
-            console.warn('Book type was undefined, inferred as:', currentBook.type);
-        }
+        const source = await loadBookSource(currentBook);
         
-        // Extract all chapter content
-        let fullBookText = '';
-        fullBookText += `${currentBook.title}\n`;
-        fullBookText += '='.repeat(currentBook.title.length) + '\n\n';
+        console.log('Full book download - File loaded, size:', source.arrayBuffer.byteLength, 'Format:', format);
         
-        if (currentBook.type === 'pdf') {
-            fullBookText += `PDF Document (${currentBook.numPages} pages)\n\n`;
-        }
-        
-        for (let i = 0; i < currentBook.chapters.length; i++) {
-            const chapter = currentBook.chapters[i];
-            
-            // Update progress
-            updateLoadingProgress(i, totalChapters);
-            
-            try {
-                let textContent;
-                
-                if (currentBook.type === 'epub') {
-                    // Handle EPUB
-                    const zip = await JSZip.loadAsync(arrayBuffer);
-                    
-                    // Check if the chapter file exists in the zip
-                    const chapterFile = zip.file(chapter.href);
-                    if (!chapterFile) {
-                        console.error('Chapter file not found in EPUB:', chapter.href);
-                        textContent = '[Error: Chapter file not found in EPUB archive]';
-                    } else {
-                        const content = await chapterFile.async('string');
-                        const parser = new DOMParser();
-                        
-                        // Try parsing as XHTML first (common in EPUB), then fall back to HTML
-                        let doc;
-                        try {
-                            doc = parser.parseFromString(content, 'application/xhtml+xml');
-                        } catch (e) {
-                            doc = parser.parseFromString(content, 'text/html');
-                        }
-                        
-                        // Get the body element, or fall back to the document element
-                        const rootElement = doc.body || doc.querySelector('body') || doc.documentElement;
-                        
-                        if (!rootElement) {
-                            console.error('No root element found in chapter HTML for:', chapter.title);
-                            textContent = '[Error: Could not extract text from chapter]';
-                        } else {
-                            textContent = extractTextFromHtml(rootElement);
-                            
-                            // If no text was extracted, try alternative approach
-                            if (!textContent || textContent.length === 0) {
-                                console.warn('No text extracted for chapter:', chapter.title);
-                                // Try getting all text content directly
-                                textContent = rootElement.textContent || rootElement.innerText || '';
-                                textContent = textContent.replace(/\s+/g, ' ').trim();
-                            }
-                        }
-                    }
-                    
-                } else if (currentBook.type === 'pdf') {
-                    // Handle PDF
-                    textContent = await PDFParser.extractTextFromPDFRange(
-                        arrayBuffer, 
-                        chapter.startPage, 
-                        chapter.endPage
-                    );
-                }
-                
-                // Add chapter to full text
-                fullBookText += `\n\n--- ${chapter.title} ---\n\n`;
-                fullBookText += textContent;
-                
-                // Add some spacing between chapters
-                if (i < currentBook.chapters.length - 1) {
-                    fullBookText += '\n\n';
-                }
-                
-            } catch (error) {
-                console.warn('Error processing chapter:', chapter, error);
-                fullBookText += `\n\n--- ${chapter.title} ---\n\n`;
-                fullBookText += '[Error loading chapter content]';
-            }
-            
-            // Allow UI to update between chapters (important for mobile)
-            await new Promise(resolve => setTimeout(resolve, 10));
-        }
+        const fullBookText = await buildFullBookText(currentBook, source, format, {
+            includeToc: markdownTocCheckbox.checked,
+            onProgress: updateLoadingProgress
+        });
         
         // Final progress update
         updateLoadingProgress(totalChapters, totalChapters);
         
         // Create and download file
-        const fileName = `${currentBook.title.replace(/[^a-z0-9]/gi, '_')}_complete.txt`;
-        const blob = new Blob([fullBookText], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = fileName;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        if (format === 'md') {
+            saveFile(fullBookText, `${toFileName(currentBook.title)}_complete.md`, 'text/markdown');
+        } else {
+            saveFile(fullBookText, `${toFileName(currentBook.title)}_complete.txt`, 'text/plain');
+        }
         
     } catch (error) {
         console.error('Error downloading full book:', error);
@@ -1961,6 +7208,80 @@ async function downloadFullBook() {
     }
 }
 
+// Render a whole book as plain text ('txt') or Markdown ('md')
+async function buildFullBookText(book, source, format, options = {}) {
+    const chapters = getBookChapters(book);
+    const totalChapters = chapters.length;
+    
+    // Extract all chapter content
+    let fullBookText = '';
+    const markdownSections = [];
+    const markdownToc = [];
+    const usedSlugs = new Set();
+    
+    if (format === 'md') {
+        fullBookText += `# ${escapeMarkdownInline(book.title)}\n\n`;
+        usedSlugs.add(markdownSlug(book.title, usedSlugs));
+    } else {
+        fullBookText += `${book.title}\n`;
+        fullBookText += '='.repeat(book.title.length) + '\n\n';
+    }
+    
+    if (book.type === 'pdf') {
+        fullBookText += `PDF Document (${book.numPages} pages)\n\n`;
+    }
+    
+    for (let i = 0; i < chapters.length; i++) {
+        const chapter = chapters[i];
+        
+        // Update progress
+        if (options.onProgress) {
+            options.onProgress(i, totalChapters);
+        }
+        
+        let textContent;
+        try {
+            // Chapters often reuse note ids like "fn1", so labels are prefixed per chapter
+            textContent = await renderChapterForExport(book, source, chapter, format, {
+                headingOffset: 2,
+                notePrefix: `c${i + 1}-`,
+                onOcrProgress: options.onOcrProgress
+            });
+        } catch (error) {
+            console.warn('Error processing chapter:', chapter, error);
+            textContent = format === 'md' ? '*[Error loading chapter content]*' : '[Error loading chapter content]';
+        }
+        
+        if (format === 'md') {
+            // Chapter titles become headings, linked from the optional TOC
+            const slug = markdownSlug(chapter.title, usedSlugs);
+            markdownToc.push(`- [${escapeMarkdownInline(chapter.title)}](#${slug})`);
+            markdownSections.push(`## ${escapeMarkdownInline(chapter.title)}\n\n${textContent}`);
+        } else {
+            // Add chapter to full text
+            fullBookText += `\n\n--- ${chapter.title} ---\n\n`;
+            fullBookText += textContent;
+            
+            // Add some spacing between chapters
+            if (i < chapters.length - 1) {
+                fullBookText += '\n\n';
+            }
+        }
+        
+        // Allow UI to update between chapters (important for mobile)
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    
+    if (format === 'md') {
+        if (options.includeToc && markdownToc.length > 0) {
+            fullBookText += `## Contents\n\n${markdownToc.join('\n')}\n\n`;
+        }
+        fullBookText += markdownSections.join('\n\n') + '\n';
+    }
+    
+    return fullBookText;
+}
+
 // Show books section
 function showBooksSection() {
     hideAllSections();
@@ -1974,9 +7295,15 @@ function hideAllSections() {
     booksSection.style.display = 'none';
     chaptersSection.style.display = 'none';
     contentSection.style.display = 'none';
+    annotationsSection.style.display = 'none';
+    pdfPagesSection.style.display = 'none';
 }
 
 // Make functions globally accessible
 window.viewBook = viewBook;
 window.deleteBook = deleteBook;
-window.viewChapter = viewChapter;
\ No newline at end of file
+window.viewChapter = viewChapter;
+window.continueReading = continueReading;
+window.openAnnotation = openAnnotation;
+window.deleteAnnotation = deleteAnnotation;
+window.toggleBookOrganizer = toggleBookOrganizer;
\ No newline at end of file